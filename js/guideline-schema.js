@@ -0,0 +1,208 @@
+/**
+ * @file guideline-schema.js
+ * @description Validates guideline datasets (the JSON files in `guidelines/`) before the engine uses them.
+ * A dataset that fails validation is rejected as a whole, so a typo in a threshold table can never
+ * produce a recommendation.
+ */
+
+/** The treatment types every dataset must define curves for. */
+export const TREATMENT_TYPES = ['phototherapy', 'exchange'];
+
+/** The severities a tier rule may assign. */
+export const SEVERITIES = ['high', 'medium', 'low', 'none'];
+
+/** The thresholds an `atOrAbove` condition may refer to. */
+export const THRESHOLD_NAMES = ['phototherapy', 'escalation', 'exchange'];
+
+/** The bilirubin/albumin ratio cut-offs a `ratioAtOrAbove` condition may refer to. */
+export const RATIO_NAMES = ['exchange'];
+
+/**
+ * The conditions a tier rule's `when` object may contain, with a check for the value of each.
+ * All conditions of a rule must hold for the rule to match; an empty `when` always matches.
+ */
+export const RULE_CONDITIONS = {
+    atOrAbove: (value) => THRESHOLD_NAMES.includes(value),
+    differenceAtMost: (value) => typeof value === 'number',
+    differenceBelow: (value) => typeof value === 'number',
+    ageAtLeast: (value) => typeof value === 'number',
+    ageBelow: (value) => typeof value === 'number',
+    ratioAtOrAbove: (value) => RATIO_NAMES.includes(value)
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates the curves of one treatment type and risk group.
+ * @param {*} dataSet - The `{ range, <week>: { points } }` object to check.
+ * @param {string} path - The location of the object, used in the error messages.
+ * @returns {string[]} The problems found.
+ */
+function validateCurveSet(dataSet, path) {
+    if (!isObject(dataSet)) return [`${path} must be an object`];
+    const errors = [];
+    const { range } = dataSet;
+    if (!Array.isArray(range) || range.length !== 2 || !isNumber(range[0]) || !isNumber(range[1]) || range[0] > range[1]) {
+        errors.push(`${path}.range must be [minWeeks, maxWeeks]`);
+    }
+    const weeks = Object.keys(dataSet).filter(key => key !== 'range');
+    if (weeks.length === 0) errors.push(`${path} must define at least one gestational age`);
+    for (const week of weeks) {
+        if (!/^\d+$/.test(week)) {
+            errors.push(`${path}.${week} is not a gestational age in weeks`);
+            continue;
+        }
+        const points = dataSet[week] && dataSet[week].points;
+        if (!Array.isArray(points) || points.length < 2) {
+            errors.push(`${path}.${week}.points must contain at least two points`);
+            continue;
+        }
+        points.forEach((point, i) => {
+            if (!Array.isArray(point) || point.length !== 2 || !isNumber(point[0]) || !isNumber(point[1])) {
+                errors.push(`${path}.${week}.points[${i}] must be [hours, bilirubin]`);
+            } else if (i > 0 && Array.isArray(points[i - 1]) && point[0] <= points[i - 1][0]) {
+                errors.push(`${path}.${week}.points[${i}] must come after the previous point`);
+            }
+        });
+    }
+    if (errors.length === 0 && !weeks.includes(String(range[0]))) {
+        errors.push(`${path} must define a curve for the first week of its range (${range[0]})`);
+    }
+    return errors;
+}
+
+/**
+ * Validates the optional bilirubin/albumin ratio table: for every risk group, the exchange
+ * cut-off (mg/dL per g/dL) from each gestational age in weeks onwards.
+ * @param {*} table - The `{ <riskKey>: { <week>: ratio } }` object to check.
+ * @param {string[]} riskKeys - The curve keys of the risk groups.
+ * @returns {string[]} The problems found.
+ */
+function validateRatioTable(table, riskKeys) {
+    if (!isObject(table)) return ['bilirubinAlbuminRatio must be an object'];
+    const errors = [];
+    for (const riskKey of riskKeys) {
+        const cutoffs = table[riskKey];
+        const path = `bilirubinAlbuminRatio.${riskKey}`;
+        if (!isObject(cutoffs) || Object.keys(cutoffs).length === 0) {
+            errors.push(`${path} must map gestational ages to ratios`);
+            continue;
+        }
+        for (const [week, ratio] of Object.entries(cutoffs)) {
+            if (!/^\d+$/.test(week)) errors.push(`${path}.${week} is not a gestational age in weeks`);
+            else if (!isNumber(ratio) || ratio <= 0) errors.push(`${path}.${week} must be a positive ratio`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates a single tier rule.
+ * @param {*} rule - The rule to check.
+ * @param {string} path - The location of the rule, used in the error messages.
+ * @returns {string[]} The problems found.
+ */
+function validateTierRule(rule, path) {
+    if (!isObject(rule)) return [`${path} must be an object`];
+    const errors = [];
+    if (!isNonEmptyString(rule.tier)) errors.push(`${path}.tier must be a non-empty string`);
+    if (!SEVERITIES.includes(rule.severity)) errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+    if (!isObject(rule.when)) {
+        errors.push(`${path}.when must be an object`);
+    } else {
+        for (const [condition, value] of Object.entries(rule.when)) {
+            if (!RULE_CONDITIONS[condition]) {
+                errors.push(`${path}.when.${condition} is not a known condition`);
+            } else if (!RULE_CONDITIONS[condition](value)) {
+                errors.push(`${path}.when.${condition} has an invalid value`);
+            }
+        }
+    }
+    if (rule.followUp !== null && !(isObject(rule.followUp) && isNumber(rule.followUp.minHours) && isNumber(rule.followUp.maxHours))) {
+        errors.push(`${path}.followUp must be null or { minHours, maxHours }`);
+    }
+    const { messages } = rule;
+    if (!isObject(messages) || !isNonEmptyString(messages.title)) {
+        errors.push(`${path}.messages.title must be a message key`);
+    } else if (messages.items !== undefined ? !(Array.isArray(messages.items) && messages.items.every(isNonEmptyString)) : !isNonEmptyString(messages.detail)) {
+        errors.push(`${path}.messages must have either an items list or a detail key`);
+    }
+    return errors;
+}
+
+/**
+ * Validates a guideline dataset.
+ *
+ * @param {*} dataset - The parsed JSON dataset.
+ * @returns {string[]} The problems found; an empty list means the dataset is valid.
+ */
+export function validateGuideline(dataset) {
+    if (!isObject(dataset)) return ['the dataset must be an object'];
+    const errors = [];
+
+    for (const field of ['id', 'name', 'version', 'citation']) {
+        if (!isNonEmptyString(dataset[field])) errors.push(`${field} must be a non-empty string`);
+    }
+    if (dataset.units !== 'mg/dL') errors.push('units must be "mg/dL"');
+
+    const range = dataset.gestationalAgeRange;
+    if (!Array.isArray(range) || range.length !== 2 || !isNumber(range[0]) || !(range[1] === null || (isNumber(range[1]) && range[1] >= range[0]))) {
+        errors.push('gestationalAgeRange must be [minWeeks, maxWeeks or null]');
+    }
+    if (!isNumber(dataset.minAgeHours) || dataset.minAgeHours < 0) errors.push('minAgeHours must be a number of hours');
+    const hasEscalation = dataset.escalationOffset !== undefined;
+    if (hasEscalation && (!isNumber(dataset.escalationOffset) || dataset.escalationOffset < 0)) errors.push('escalationOffset must be a number');
+    const { postmenstrualAgeCurves } = dataset;
+    if (postmenstrualAgeCurves !== undefined && !(Array.isArray(postmenstrualAgeCurves) && postmenstrualAgeCurves.every(type => TREATMENT_TYPES.includes(type)))) {
+        errors.push(`postmenstrualAgeCurves must be a list of treatment types (${TREATMENT_TYPES.join(', ')})`);
+    }
+
+    const { riskGroups } = dataset;
+    const riskKeys = [];
+    if (!isObject(riskGroups) || !isNonEmptyString(riskGroups.withRiskFactors) || !isNonEmptyString(riskGroups.withoutRiskFactors)) {
+        errors.push('riskGroups must map withRiskFactors and withoutRiskFactors to curve keys');
+    } else {
+        riskKeys.push(riskGroups.withRiskFactors, riskGroups.withoutRiskFactors);
+    }
+
+    if (!isObject(dataset.curves)) {
+        errors.push('curves must be an object');
+    } else {
+        for (const treatmentType of TREATMENT_TYPES) {
+            const curves = dataset.curves[treatmentType];
+            if (!isObject(curves)) {
+                errors.push(`curves.${treatmentType} must be an object`);
+                continue;
+            }
+            for (const riskKey of riskKeys) {
+                errors.push(...validateCurveSet(curves[riskKey], `curves.${treatmentType}.${riskKey}`));
+            }
+        }
+    }
+
+    if (dataset.bilirubinAlbuminRatio !== undefined) {
+        errors.push(...validateRatioTable(dataset.bilirubinAlbuminRatio, riskKeys));
+    }
+
+    if (!Array.isArray(dataset.tiers) || dataset.tiers.length === 0) {
+        errors.push('tiers must be a non-empty list of rules');
+    } else {
+        dataset.tiers.forEach((rule, i) => {
+            errors.push(...validateTierRule(rule, `tiers[${i}]`));
+            if (isObject(rule) && isObject(rule.when) && 'ratioAtOrAbove' in rule.when && dataset.bilirubinAlbuminRatio === undefined) {
+                errors.push(`tiers[${i}].when.ratioAtOrAbove needs a bilirubinAlbuminRatio table`);
+            }
+            if (isObject(rule) && isObject(rule.when) && rule.when.atOrAbove === 'escalation' && !hasEscalation) {
+                errors.push(`tiers[${i}].when.atOrAbove escalation needs an escalationOffset`);
+            }
+        });
+        const last = dataset.tiers[dataset.tiers.length - 1];
+        if (isObject(last) && isObject(last.when) && Object.keys(last.when).length > 0) {
+            errors.push('the last tier rule must have an empty "when" so that every value gets a tier');
+        }
+    }
+
+    return errors;
+}
@@ -0,0 +1,401 @@
+/**
+ * @file guideline.js
+ * @description The guideline engine of the Neonatal Bilirubin Calculator.
+ * The threshold curves and tier rules come from versioned guideline datasets (the JSON files in
+ * `guidelines/`), which are validated and registered before use. The engine selects a dataset by
+ * gestational age (or the one the user prefers, when it covers that age) and turns structured input
+ * (gestational age, age in hours, TSB and risk factors) into a structured result: thresholds, a tier
+ * code, a follow-up interval and message keys. It has no DOM dependencies, so it can be imported by
+ * the page as well as by Node.
+ */
+import { SEVERITIES, validateGuideline } from './guideline-schema.js';
+
+/**
+ * Tier codes used by the bundled datasets, ordered from most to least urgent.
+ * Datasets may define other codes; `KERNICTERUS` and `CONFIRM_TSB` are assigned by the engine itself.
+ * @enum {string}
+ */
+export const TIERS = {
+    KERNICTERUS: 'kernicterus',
+    EXCHANGE: 'exchange',
+    ESCALATION: 'escalation',
+    ABOVE_THRESHOLD: 'aboveThreshold',
+    PHOTOTHERAPY: 'phototherapy',
+    NEAR_THRESHOLD: 'nearThreshold',
+    DOUBLE_PHOTOTHERAPY: 'doublePhototherapy',
+    SINGLE_PHOTOTHERAPY: 'singlePhototherapy',
+    FOLLOW_UP: 'followUp',
+    CONFIRM_TSB: 'confirmTsb'
+};
+
+/**
+ * When a transcutaneous (TcB) value must be confirmed with a serum TSB before any treatment tier
+ * is given: within `margin` mg/dL of the phototherapy threshold, or above `limit` mg/dL, where TcB
+ * meters are least accurate.
+ */
+export const TCB_CONFIRMATION = { margin: 3, limit: 15 };
+
+/** The registered datasets by id, in registration order. */
+const registry = new Map();
+
+/**
+ * Validates a guideline dataset and makes it available to the engine.
+ * A dataset with the same id replaces the one registered before.
+ * @param {object} dataset - The parsed JSON dataset.
+ * @returns {object} The registered dataset.
+ * @throws {Error} If the dataset does not pass `validateGuideline`; the message lists every problem.
+ */
+export function registerGuideline(dataset) {
+    const errors = validateGuideline(dataset);
+    if (errors.length > 0) {
+        const id = dataset && typeof dataset.id === 'string' ? dataset.id : 'unknown';
+        throw new Error(`Invalid guideline dataset "${id}": ${errors.join('; ')}`);
+    }
+    registry.set(dataset.id, dataset);
+    return dataset;
+}
+
+/**
+ * Removes every registered dataset.
+ */
+export function clearGuidelines() {
+    registry.clear();
+}
+
+/**
+ * Returns the registered datasets in registration order.
+ * @returns {object[]} The datasets.
+ */
+export function getGuidelines() {
+    return [...registry.values()];
+}
+
+/**
+ * Whether a dataset covers a gestational age.
+ * @param {object} guideline - The dataset.
+ * @param {number} gestationalAge - The gestational age in completed weeks.
+ * @returns {boolean} True if the gestational age is inside the dataset's `gestationalAgeRange`.
+ */
+const coversGestationalAge = (guideline, gestationalAge) => {
+    const [min, max] = guideline.gestationalAgeRange;
+    return gestationalAge >= min && (max === null || gestationalAge <= max);
+};
+
+/**
+ * Selects the dataset for a gestational age. The preferred dataset is used when it covers the
+ * gestational age; otherwise the first registered dataset that covers it is used.
+ * @param {number} gestationalAge - The gestational age in completed weeks.
+ * @param {string|null} [preferredId=null] - The id of the dataset chosen by the user, if any.
+ * @returns {object|null} The dataset, or null if none covers the gestational age.
+ */
+export function selectGuideline(gestationalAge, preferredId = null) {
+    const preferred = preferredId ? registry.get(preferredId) : undefined;
+    if (preferred && coversGestationalAge(preferred, gestationalAge)) {
+        return preferred;
+    }
+    return getGuidelines().find(guideline => coversGestationalAge(guideline, gestationalAge)) || null;
+}
+
+/**
+ * Rounds a value to two decimals, the precision used for every threshold.
+ * @param {number} value - The value to round.
+ * @returns {number} The rounded value.
+ */
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Linearly interpolates a value between two points.
+ * @param {number} t - The current time point.
+ * @param {number} t1 - The start time of the segment.
+ * @param {number} b1 - The bilirubin value at the start time.
+ * @param {number} t2 - The end time of the segment.
+ * @param {number} b2 - The bilirubin value at the end time.
+ * @returns {number} The interpolated bilirubin value.
+ */
+const interpolate = (t, t1, b1, t2, b2) => b1 + (t - t1) * ((b2 - b1) / (t2 - t1));
+
+/**
+ * Reads a curve at an age inside it. Where the curve steps, it has two points at the same age and
+ * the later one applies from that age on.
+ * @param {Array<[number, number]>} points - The curve's `[ageInHours, bilirubin]` points.
+ * @param {number} ageInHours - The age, between the first and last point.
+ * @returns {number} The value of the curve.
+ */
+function valueAt(points, ageInHours) {
+    const index = points.findLastIndex(([hours]) => hours <= ageInHours);
+    if (index === points.length - 1) return points[index][1];
+    const [[t1, b1], [t2, b2]] = [points[index], points[index + 1]];
+    return interpolate(ageInHours, t1, b1, t2, b2);
+}
+
+/** The hours in a week of postnatal age. */
+const HOURS_PER_WEEK = 7 * 24;
+
+/**
+ * Joins the curves of a dataset into the curve of an infant whose threshold follows the
+ * postmenstrual age: every week of postnatal age uses the curve of the gestational age at birth
+ * plus that many weeks, so the curve steps where a new week starts.
+ * @param {function(number): Array<[number, number]>} curveFor - Returns the curve for a gestational age in weeks.
+ * @param {number} gestationalAge - The gestational age at birth in completed weeks.
+ * @returns {Array<[number, number]>} The joined curve.
+ */
+function followPostmenstrualAge(curveFor, gestationalAge) {
+    const atBirth = curveFor(gestationalAge);
+    const [start, end] = [atBirth[0][0], atBirth[atBirth.length - 1][0]];
+    const points = [];
+    for (let week = Math.floor(start / HOURS_PER_WEEK); week * HOURS_PER_WEEK < end; week++) {
+        const curve = curveFor(gestationalAge + week);
+        const from = Math.max(start, week * HOURS_PER_WEEK);
+        const to = Math.min(end, (week + 1) * HOURS_PER_WEEK);
+        points.push([from, valueAt(curve, from)], ...curve.filter(([hours]) => hours > from && hours < to), [to, valueAt(curve, to)]);
+    }
+    // A week whose curve is the same as the week before adds no step.
+    return points.filter((point, i) => i === 0 || point[0] !== points[i - 1][0] || point[1] !== points[i - 1][1]);
+}
+
+/**
+ * Selects the threshold curve for a treatment type, risk group and gestational age.
+ *
+ * @param {string} treatmentType - The type of treatment guideline to use: 'phototherapy' or 'exchange'.
+ * @param {boolean} hasRiskFactor - Whether neurotoxicity risk factors are present.
+ * @param {number} gestationalAge - The gestational age of the infant in completed weeks.
+ * @param {string|null} [guidelineId=null] - The preferred dataset, see `selectGuideline`.
+ * @returns {{points: Array<[number, number]>|null, error?: string, params?: object}} The curve's
+ * `[ageInHours, bilirubin]` points, or null points with an error message key when there is no curve.
+ * For the treatment types in the dataset's `postmenstrualAgeCurves`, the curve follows the postmenstrual age.
+ */
+export function getCurve(treatmentType, hasRiskFactor, gestationalAge, guidelineId = null) {
+    // --- 1. Select correct dataset ---
+    const guideline = selectGuideline(gestationalAge, guidelineId);
+    if (guideline === null) {
+        return { points: null, error: 'error.gestationalAgeOutOfRange', params: { gestationalAge } };
+    }
+    if (!guideline.curves[treatmentType]) {
+        return { points: null, error: 'error.invalidTreatmentType', params: { treatmentType } };
+    }
+    const riskKey = hasRiskFactor ? guideline.riskGroups.withRiskFactors : guideline.riskGroups.withoutRiskFactors;
+    const dataSet = guideline.curves[treatmentType][riskKey];
+
+    // --- 2. Select correct gestational age data ---
+    // Each curve covers its own week and the weeks up to the next curve.
+    const [minAge, maxAge] = dataSet.range;
+    if (gestationalAge < minAge) {
+        return { points: null, error: 'error.gestationalAgeOutOfRange', params: { gestationalAge } };
+    }
+    const curveFor = (weeks) => dataSet[Object.keys(dataSet)
+        .filter(key => key !== 'range')
+        .map(Number)
+        .filter(age => age <= Math.min(weeks, maxAge))
+        .reduce((a, b) => Math.max(a, b))].points;
+    if ((guideline.postmenstrualAgeCurves || []).includes(treatmentType)) {
+        return { points: followPostmenstrualAge(curveFor, gestationalAge) };
+    }
+    return { points: curveFor(gestationalAge) };
+}
+
+/**
+ * Calculates the action threshold for neonatal jaundice based on a piecewise linear model.
+ *
+ * @param {string} treatmentType - The type of treatment guideline to use: 'phototherapy' or 'exchange'.
+ * @param {boolean} hasRiskFactor - Whether neurotoxicity risk factors are present.
+ * @param {number} gestationalAge - The gestational age of the infant in weeks.
+ * @param {number} ageInHours - The postnatal age of the infant in hours.
+ * @param {number} bilirubinLevel - The total serum bilirubin (TSB) level in mg/dL.
+ * @param {string|null} [guidelineId=null] - The preferred dataset, see `selectGuideline`.
+ * @returns {{threshold: number|null, needsAction?: boolean, error?: string, params?: object}} The calculated
+ * threshold and whether action is needed. When the inputs are outside the curves, `threshold` is null and
+ * `error` holds a message key, with `params` holding the values the message refers to.
+ */
+export function getJaundiceGuideline(treatmentType, hasRiskFactor, gestationalAge, ageInHours, bilirubinLevel, guidelineId = null) {
+    const { points, error, params } = getCurve(treatmentType, hasRiskFactor, gestationalAge, guidelineId);
+    if (points === null) {
+        return { threshold: null, error, params };
+    }
+
+    // --- Find the correct segment and calculate threshold ---
+    if (ageInHours < points[0][0]) {
+        return { threshold: null, error: 'error.ageBelowCurve', params: { ageInHours: round2(ageInHours), minAge: points[0][0] } };
+    }
+
+    // The curves are not extrapolated beyond their last point.
+    const maxAge = points[points.length - 1][0];
+    if (ageInHours > maxAge) {
+        return { threshold: null, error: 'error.ageAboveCurve', params: { ageInHours: round2(ageInHours), maxAge } };
+    }
+
+    const roundedThreshold = round2(valueAt(points, ageInHours));
+    return {
+        threshold: roundedThreshold,
+        needsAction: bilirubinLevel >= roundedThreshold
+    };
+}
+
+/**
+ * Returns the bilirubin/albumin ratio at or above which exchange transfusion should be considered.
+ * Each cut-off applies from its gestational age in weeks onwards, like the curves.
+ *
+ * @param {boolean} hasRiskFactor - Whether neurotoxicity risk factors are present.
+ * @param {number} gestationalAge - The gestational age of the infant in completed weeks.
+ * @param {string|null} [guidelineId=null] - The preferred dataset, see `selectGuideline`.
+ * @returns {number|null} The cut-off in mg/dL per g/dL, or null if the dataset defines none for the infant.
+ */
+export function getBilirubinAlbuminRatioCutoff(hasRiskFactor, gestationalAge, guidelineId = null) {
+    const guideline = selectGuideline(gestationalAge, guidelineId);
+    if (guideline === null || !guideline.bilirubinAlbuminRatio) return null;
+    const riskKey = hasRiskFactor ? guideline.riskGroups.withRiskFactors : guideline.riskGroups.withoutRiskFactors;
+    const cutoffs = guideline.bilirubinAlbuminRatio[riskKey];
+    const weeks = Object.keys(cutoffs).map(Number).filter(week => week <= gestationalAge);
+    return weeks.length === 0 ? null : cutoffs[Math.max(...weeks)];
+}
+
+/**
+ * How each condition of a tier rule's `when` object is checked against the infant.
+ * The accepted conditions are listed in `RULE_CONDITIONS` of guideline-schema.js.
+ */
+const RULE_CHECKS = {
+    atOrAbove: (name, { bilirubin, thresholds }) => thresholds[name] !== null && bilirubin >= thresholds[name],
+    differenceAtMost: (value, { difference }) => difference <= value,
+    differenceBelow: (value, { difference }) => difference < value,
+    ageAtLeast: (value, { ageInHours }) => ageInHours >= value,
+    ageBelow: (value, { ageInHours }) => ageInHours < value,
+    ratioAtOrAbove: (name, { bilirubinAlbuminRatio }) => bilirubinAlbuminRatio !== null &&
+        bilirubinAlbuminRatio.cutoffs[name] !== null && bilirubinAlbuminRatio.value >= bilirubinAlbuminRatio.cutoffs[name]
+};
+
+/**
+ * Returns the first tier rule of a dataset whose conditions all hold.
+ * @param {object[]} tiers - The dataset's tier rules.
+ * @param {{bilirubin: number, thresholds: object, difference: number, ageInHours: number, bilirubinAlbuminRatio: object|null}} context - The infant.
+ * @returns {object} The matching rule; validation guarantees that the last rule always matches.
+ */
+function matchTierRule(tiers, context) {
+    return tiers.find(rule => Object.entries(rule.when).every(([condition, value]) => RULE_CHECKS[condition](value, context)));
+}
+
+/**
+ * Evaluates an infant against the guideline and returns a structured recommendation.
+ *
+ * @param {object} input - The clinical input.
+ * @param {number|null} input.gestationalAge - The gestational age in completed weeks.
+ * @param {number|null} input.ageInHours - The postnatal age in hours.
+ * @param {number|null} [input.bilirubin] - The TSB in mg/dL; null when not entered yet, which gives the
+ * thresholds but no tier.
+ * @param {string} [input.source='TSB'] - 'TSB' or 'TcB'. A TcB value near or above the threshold, or
+ * above the TcB limit, gives the `CONFIRM_TSB` tier instead of a treatment tier (see `TCB_CONFIRMATION`).
+ * @param {boolean} [input.hasRiskFactors=false] - Whether neurotoxicity risk factors are present.
+ * @param {number|null} [input.albumin=null] - The serum albumin in g/dL; with a TSB it gives the bilirubin/albumin ratio.
+ * @param {boolean} [input.hasKernicterusSigns=false] - Whether signs of acute bilirubin encephalopathy are present.
+ * @param {string|null} [input.guidelineId=null] - The preferred dataset, see `selectGuideline`.
+ * @returns {{
+ *   status: 'ok'|'incomplete'|'notApplicable'|'error',
+ *   guideline: {id: string, name: string, version: string}|null,
+ *   tier: string|null,
+ *   underlyingTier: string|null,
+ *   severity: 'high'|'medium'|'low'|'none'|null,
+ *   thresholds: {phototherapy: number, escalation: number|null, exchange: number}|null,
+ *   difference: number|null,
+ *   bilirubinAlbuminRatio: {value: number, cutoffs: {exchange: number|null}}|null,
+ *   followUp: {minHours: number, maxHours: number}|null,
+ *   messages: {title: string, items?: string[], detail?: string, params?: object}|null
+ * }} The result. `status` is 'ok' when a tier was assigned. It is 'incomplete' when an input is missing: without
+ * a bilirubin value `thresholds` are still given. Otherwise `messages.title` explains why not.
+ * For `CONFIRM_TSB`, `underlyingTier` is the tier the TcB value falls in, and `severity` is at least its severity.
+ * `thresholds.escalation` is null for a dataset without an `escalationOffset`.
+ * `guideline` identifies the dataset (and its version) that produced the result. `bilirubinAlbuminRatio`
+ * (mg/dL per g/dL) is set when both TSB and albumin are known.
+ */
+export function evaluateGuideline({ gestationalAge, ageInHours, bilirubin = null, source = 'TSB', hasRiskFactors = false, albumin = null, hasKernicterusSigns = false, guidelineId = null }) {
+    const guideline = gestationalAge === null || gestationalAge === undefined ? null : selectGuideline(gestationalAge, guidelineId);
+    const result = {
+        status: 'ok',
+        guideline: guideline && { id: guideline.id, name: guideline.name, version: guideline.version },
+        tier: null,
+        underlyingTier: null,
+        severity: null,
+        thresholds: null,
+        difference: null,
+        bilirubinAlbuminRatio: null,
+        followUp: null,
+        messages: null
+    };
+
+    // OVERRIDE: If kernicterus signs are present, immediate action is required.
+    if (hasKernicterusSigns) {
+        return {
+            ...result,
+            tier: TIERS.KERNICTERUS,
+            severity: 'high',
+            messages: { title: 'recommendation.kernicterus.title', items: ['recommendation.kernicterus.emergency', 'recommendation.kernicterus.consult'] }
+        };
+    }
+
+    if (ageInHours === null || ageInHours === undefined || gestationalAge === null || gestationalAge === undefined) {
+        return { ...result, status: 'incomplete' };
+    }
+
+    if (guideline === null) {
+        return { ...result, status: 'error', messages: { title: 'error.gestationalAgeOutOfRange', params: { gestationalAge } } };
+    }
+
+    // Rule: Do not show recommendations below the dataset's minimum age (24 hours for AAP 2022).
+    if (ageInHours < guideline.minAgeHours) {
+        return { ...result, status: 'notApplicable', messages: { title: 'notice.belowMinimumAge', params: { minAgeHours: guideline.minAgeHours } } };
+    }
+
+    const photoResult = getJaundiceGuideline('phototherapy', hasRiskFactors, gestationalAge, ageInHours, bilirubin, guideline.id);
+    const exchangeResult = getJaundiceGuideline('exchange', hasRiskFactors, gestationalAge, ageInHours, bilirubin, guideline.id);
+
+    if (photoResult.threshold === null || exchangeResult.threshold === null) {
+        const failed = photoResult.threshold === null ? photoResult : exchangeResult;
+        return { ...result, status: 'error', messages: { title: failed.error, params: failed.params } };
+    }
+
+    const thresholds = {
+        phototherapy: photoResult.threshold,
+        escalation: guideline.escalationOffset === undefined ? null : round2(exchangeResult.threshold - guideline.escalationOffset),
+        exchange: exchangeResult.threshold
+    };
+
+    // Without a bilirubin value there is no tier, only the thresholds it will be compared with.
+    if (bilirubin === null) {
+        return { ...result, status: 'incomplete', thresholds };
+    }
+    const difference = round2(thresholds.phototherapy - bilirubin);
+
+    // The bilirubin/albumin ratio is defined for serum bilirubin only.
+    const bilirubinAlbuminRatio = source === 'TSB' && typeof albumin === 'number' && albumin > 0 ? {
+        value: round2(bilirubin / albumin),
+        cutoffs: { exchange: getBilirubinAlbuminRatioCutoff(hasRiskFactors, gestationalAge, guideline.id) }
+    } : null;
+    const rule = matchTierRule(guideline.tiers, { bilirubin, thresholds, difference, ageInHours, bilirubinAlbuminRatio });
+
+    // A TcB screen near the threshold or above the TcB limit is confirmed with a TSB before treatment.
+    // It keeps the urgency of the tier the value falls in: a TcB above the exchange threshold is still an emergency.
+    if (source === 'TcB' && (difference <= TCB_CONFIRMATION.margin || bilirubin > TCB_CONFIRMATION.limit)) {
+        return {
+            ...result,
+            tier: TIERS.CONFIRM_TSB,
+            severity: SEVERITIES[Math.min(SEVERITIES.indexOf('medium'), SEVERITIES.indexOf(rule.severity))],
+            underlyingTier: rule.tier,
+            thresholds,
+            difference,
+            messages: {
+                title: 'recommendation.confirmTsb.title',
+                items: ['recommendation.confirmTsb.obtainTsb', 'recommendation.confirmTsb.reason'],
+                params: { difference, margin: TCB_CONFIRMATION.margin, limit: TCB_CONFIRMATION.limit }
+            }
+        };
+    }
+
+    const params = bilirubinAlbuminRatio === null ? { difference } : { difference, ratio: bilirubinAlbuminRatio.value, ratioCutoff: bilirubinAlbuminRatio.cutoffs.exchange };
+    return {
+        ...result,
+        tier: rule.tier,
+        severity: rule.severity,
+        thresholds,
+        difference,
+        bilirubinAlbuminRatio,
+        followUp: rule.followUp && { ...rule.followUp },
+        messages: { ...rule.messages, params }
+    };
+}
@@ -0,0 +1,412 @@
+/**
+ * @file i18n.js
+ * @description The message catalog of the calculator in Persian and English, with the number
+ * and date formatting of each locale. Every text on the page, static or produced from the
+ * message keys of the guideline engine, is looked up here.
+ */
+
+/** The supported locales with their text direction and `Intl` locale. */
+export const LOCALES = {
+    fa: { dir: 'rtl', intlLocale: 'fa-IR', calendar: 'persian' },
+    en: { dir: 'ltr', intlLocale: 'en-GB', calendar: 'gregory' }
+};
+
+/**
+ * The text of every message key per locale.
+ * `{name}` placeholders are filled from the parameters passed to `translate`.
+ */
+export const MESSAGES = {
+    fa: {
+        'ui.pageTitle': 'ماشین حساب بیلیروبین نوزاد',
+        'ui.back': '← بازگشت',
+        'ui.birthDate': 'تاریخ تولد',
+        'ui.birthHour': 'ساعت تولد',
+        'ui.birthMinute': 'دقیقه‌ی تولد',
+        'ui.gaWeeks': 'سن بارداری (هفته)',
+        'ui.gaDays': 'روز',
+        'ui.guideline': 'گایدلاین',
+        'ui.useLabTime': 'استفاده از زمان آزمایش دلخواه',
+        'ui.labDate': 'تاریخ آزمایش',
+        'ui.labHour': 'ساعت آزمایش',
+        'ui.labMinute': 'دقیقه‌ی آزمایش',
+        'ui.age': 'سن نوزاد',
+        'ui.ageAtLab': 'سن نوزاد هنگام آزمایش',
+        'ui.risk.gestationalAge': 'سن بارداری کمتر از ۳۸ هفته',
+        'ui.risk.lowAlbumin': 'آلبومین سرم کمتر از ۳٫۰ g/dL',
+        'ui.risk.isoimmune': 'بیماری همولیتیک ایزوایمیون (تست کومبس مستقیم مثبت)',
+        'ui.risk.g6pd': 'کمبود G6PD',
+        'ui.risk.sepsis': 'سپسیس',
+        'ui.risk.instability': 'ناپایداری بالینی قابل توجه در ۲۴ ساعت گذشته',
+        'ui.albumin': 'آلبومین (g/dL) - برای نسبت B/A',
+        'ui.albuminPlaceholder': 'اندازه‌گیری نشده',
+        'ui.bilirubinPlaceholder': 'وارد نشده',
+        'ui.kernicterusSigns': 'علائم کرن ایکتروس دارد؟',
+        'ui.symptom.cry': 'گریه‌ی جیغ‌مانند و تیز',
+        'ui.symptom.hypertonia': 'سفتی بدن، مخصوصاً خم شدن گردن و پشت به عقب',
+        'ui.symptom.seizure': 'تشنج یا هر حرکت غیرعادی',
+        'ui.symptom.lethargy': 'بی‌حالی شدید (نوزاد به سختی بیدار می‌شود)',
+        'ui.phototherapyActive': 'فتوتراپی در حال انجام است',
+        'ui.phototherapyDate': 'تاریخ شروع فتوتراپی',
+        'ui.phototherapyHour': 'ساعت شروع',
+        'ui.phototherapyMinute': 'دقیقه‌ی شروع',
+        'ui.nomogram': 'نمودار',
+        'ui.days4': '۴ روز',
+        'ui.days14': '۱۴ روز',
+        'ui.measurements': 'سوابق اندازه‌گیری',
+        'ui.addMeasurement': 'ثبت اندازه‌گیری فعلی',
+        'ui.disclaimerTitle': 'سلب مسئولیت پزشکی:',
+        'ui.disclaimer': 'این ابزار برای اهداف آموزشی و اطلاعاتی طراحی شده است و نباید به عنوان جایگزین توصیه، تشخیص یا درمان حرفه‌ای پزشکی در نظر گرفته شود. همیشه در مورد هرگونه سوالی که در مورد یک وضعیت پزشکی دارید، از پزشک یا سایر ارائه‌دهندگان خدمات بهداشتی واجد شرایط کمک بگیرید.',
+        'age.display': '{days} روز و {hours} ساعت و {minutes} دقیقه',
+        'results.notice': 'توجه:',
+        'results.title': 'نتایج و توصیه‌ها:',
+        'results.emergency': 'اقدام اورژانسی:',
+        'results.phototherapyThreshold': 'آستانه فتوتراپی',
+        'results.escalationThreshold': 'آستانه تشدید مراقبت',
+        'results.exchangeThreshold': 'آستانه تعویض خون',
+        'results.reading': 'مقدار اندازه‌گیری‌شده: {value} {unit} ({source})',
+        'error.invalidTreatmentType': "خطا: نوع درمان باید 'phototherapy' یا 'exchange' باشد.",
+        'error.gestationalAgeOutOfRange': 'خطا: برای این نمودار، سن حاملگی باید در محدوده تعریف شده باشد.',
+        'guideline.label': 'گایدلاین: {name} (نسخه {version})',
+        'guideline.automatic': 'خودکار (بر اساس سن بارداری)',
+        'guideline.loadError': 'خطا در بارگذاری گایدلاین {file}: {reason}',
+        'error.ageBelowCurve': 'نوزاد ({ageInHours} ساعت) کوچکتر از حداقل سن در نمودار ({minAge} ساعت) است و نیاز به توجه ویژه دارد.',
+        'error.ageAboveCurve': 'سن نوزاد ({ageInHours} ساعت) از پایان نمودار ({maxAge} ساعت) بیشتر است. آستانه‌ها فراتر از نمودار برون‌یابی نمی‌شوند؛ تاریخ‌ها را بررسی کنید یا بر اساس قضاوت بالینی تصمیم بگیرید.',
+        'validation.title': 'ورودی‌ها را اصلاح کنید:',
+        'validation.outOfRange': '{field}: مقدار {value} خارج از محدوده‌ی {min} تا {max} است.',
+        'validation.birthInFuture': 'زمان تولد در آینده است.',
+        'validation.sampleBeforeBirth': 'زمان آزمایش پیش از زمان تولد است.',
+        'validation.sampleInFuture': 'زمان آزمایش در آینده است.',
+        'validation.phototherapyStartBeforeBirth': 'زمان شروع فتوتراپی پیش از زمان تولد است.',
+        'validation.phototherapyStartInFuture': 'زمان شروع فتوتراپی در آینده است.',
+        'validation.ageBeyondCurve': 'سن نوزاد ({ageInHours} ساعت) از پایان نمودار گایدلاین ({maxAge} ساعت) بیشتر است و آستانه‌ها برون‌یابی نمی‌شوند. تاریخ‌ها را بررسی کنید.',
+        'validation.bilirubinImplausible': 'مقدار بیلی‌روبین {value} {unit} محتمل نیست (محدوده‌ی قابل قبول: {min} تا {max} {unit}). مقدار و واحد را بررسی کنید.',
+        'validation.enterBilirubin': 'برای دریافت توصیه، مقدار بیلی‌روبین را وارد کنید.',
+        'notice.belowMinimumAge': 'این گایدلاین برای نوزادان با سن کمتر از {minAgeHours} ساعت کاربرد ندارد.',
+        'recommendation.kernicterus.title': 'توصیه: تعویض خون فوری',
+        'recommendation.kernicterus.emergency': 'وجود علائم نوروتوکسیسیتی (کرن‌ایکتروس) یک اورژانس پزشکی است.',
+        'recommendation.kernicterus.consult': 'مشاوره فوری با NICU و شروع درمان بدون در نظر گرفتن سطح بیلی‌روبین.',
+        'recommendation.confirmTsb.title': 'TcB غربالگری: TSB تأییدی بگیرید',
+        'recommendation.confirmTsb.obtainTsb': 'پیش از شروع یا کنار گذاشتن فتوتراپی، اکنون TSB سرمی اندازه‌گیری کنید و توصیه را بر اساس آن بگیرید.',
+        'recommendation.confirmTsb.reason': 'مقدار TcB کمتر از {margin} {unit} با آستانه‌ی فتوتراپی فاصله دارد یا بیشتر از {limit} {unit} است؛ در این محدوده TcB قابل اعتماد نیست.',
+        'recommendation.exchange.title': 'توصیه: تعویض خون فوری',
+        'recommendation.exchange.consultNicu': 'مشاوره فوری با NICU',
+        'recommendation.exchange.intensiveAndHydration': 'شروع فتوتراپی فشرده و هیدراتاسیون',
+        'recommendation.exchange.prepare': 'آماده‌سازی برای تعویض خون',
+        'recommendation.exchangeByRatio.title': 'توصیه: بررسی تعویض خون (نسبت B/A)',
+        'recommendation.exchangeByRatio.ratio': 'نسبت بیلی‌روبین به آلبومین ({ratio}) به حد تعویض خون ({ratioCutoff}) رسیده است.',
+        'recommendation.escalation.considerTransfer': 'بررسی انتقال به مرکز مناسب در صورت عدم پاسخ مناسب',
+        'recommendation.intensive.title': 'توصیه: فتوتراپی فشرده (Intensive)',
+        'recommendation.double.title': 'توصیه: فتوتراپی دوگانه (Double)',
+        'recommendation.single.title': 'توصیه: فتوتراپی ساده (Single)',
+        'recommendation.preterm.phototherapy.title': 'توصیه: شروع فتوتراپی (آستانه‌ی عملیاتی نوزاد نارس)',
+        'recommendation.preterm.phototherapy.stop': 'فتوتراپی را وقتی TSB ۱ تا ۲ mg/dL کمتر از سطح شروع شد قطع کنید.',
+        'recommendation.preterm.recheck': 'این راهنما فاصله‌ی تکرار TSB را تعیین نمی‌کند؛ زمان اندازه‌گیری بعدی را بر اساس قضاوت بالینی تعیین کنید.',
+        'recommendation.checkEvery8Hours': 'چک بیلی‌روبین هر ۸ ساعت',
+        'recommendation.checkEvery12Hours': 'چک بیلی‌روبین هر ۱۲ ساعت',
+        'recommendation.noAction.title': 'نیاز به اقدام فوری نیست (اختلاف: {difference} {unit})',
+        'followUp.tsbIn4To24Hours': 'توصیه: TSB یا TcB در ۴ تا ۲۴ ساعت.',
+        'followUp.tsbIn1To2Days': 'توصیه: TSB یا TcB در ۱ تا ۲ روز.',
+        'followUp.within2Days': 'توصیه: پیگیری طی ۲ روز.',
+        'followUp.within3Days': 'توصیه: پیگیری طی ۳ روز.',
+        'followUp.clinicalJudgment': 'توصیه: قضاوت بالینی.',
+        'tier.kernicterus': 'اورژانس',
+        'tier.exchange': 'تعویض خون',
+        'tier.escalation': 'تشدید مراقبت',
+        'tier.aboveThreshold': 'فتوتراپی فشرده',
+        'tier.phototherapy': 'فتوتراپی',
+        'tier.nearThreshold': 'فتوتراپی فشرده',
+        'tier.doublePhototherapy': 'فتوتراپی دوگانه',
+        'tier.singlePhototherapy': 'فتوتراپی ساده',
+        'tier.followUp': 'پیگیری',
+        'tier.confirmTsb': 'تأیید با TSB',
+        'nomogram.phototherapy': 'فتوتراپی',
+        'nomogram.escalation': 'تشدید مراقبت',
+        'nomogram.exchange': 'تعویض خون',
+        'nomogram.xAxis': 'سن (ساعت)',
+        'nomogram.point': '{ageInHours} ساعت: {value} {unit} ({source})',
+        'phototherapy.course': 'شروع فتوتراپی در سن {ageAtStartHours} ساعت؛ آستانه هنگام شروع: {thresholdAtStart} {unit}',
+        'phototherapy.beforeStart': 'زمان آزمایش قبل از شروع فتوتراپی است.',
+        'phototherapy.continue.title': 'توصیه: ادامه فتوتراپی',
+        'phototherapy.continue.detail': 'فتوتراپی را وقتی قطع کنید که TSB به {stopBelow} {unit} یا کمتر برسد ({margin} واحد کمتر از آستانه هنگام شروع).',
+        'phototherapy.continue.short': 'ادامه فتوتراپی',
+        'phototherapy.stop.title': 'توصیه: قطع فتوتراپی',
+        'phototherapy.stop.detail': 'TSB دست‌کم {margin} واحد کمتر از آستانه هنگام شروع ({thresholdAtStart} {unit}) است.',
+        'phototherapy.stop.short': 'قطع فتوتراپی',
+        'phototherapy.rebound.highRisk': 'چک بیلی‌روبین ریباند ۶ تا ۱۲ ساعت پس از قطع ({from} تا {to}) و تکرار آن در روز بعد.',
+        'phototherapy.rebound.standard': 'چک بیلی‌روبین ریباند یا پیگیری بالینی ۲۴ تا ۴۸ ساعت پس از قطع ({from} تا {to}).',
+        'ratio.label': 'نسبت B/A (mg/dL به ازای g/dL)',
+        'ratio.cutoff': 'حد تعویض: {cutoff}',
+        'riskFactors.title': 'ریسک فاکتورهای نوروتوکسیسیتی',
+        'riskFactors.none': 'ندارد',
+        'riskFactor.gestationalAgeBelow38': 'سن بارداری کمتر از ۳۸ هفته',
+        'riskFactor.lowAlbumin': 'آلبومین کمتر از ۳٫۰ g/dL',
+        'riskFactor.isoimmuneHemolyticDisease': 'بیماری همولیتیک ایزوایمیون',
+        'riskFactor.g6pdDeficiency': 'کمبود G6PD',
+        'riskFactor.sepsis': 'سپسیس',
+        'riskFactor.clinicalInstability': 'ناپایداری بالینی در ۲۴ ساعت گذشته',
+        'bilirubin.label': 'سطح بیلی روبین توتال ({unit})',
+        'measurement.age': 'سن (ساعت)',
+        'measurement.value': 'مقدار',
+        'measurement.source': 'نوع',
+        'measurement.tier': 'سطح',
+        'measurement.remove': 'حذف',
+        'ui.printSummary': 'چاپ خلاصه',
+        'ui.copyLink': 'کپی لینک',
+        'ui.fhirNeedsLabel': 'برای خروجی FHIR، نام یا شماره تخت را وارد کنید.',
+        'share.copied': 'لینک کپی شد',
+        'report.title': 'خلاصه‌ی ارزیابی بیلیروبین نوزاد',
+        'report.patient': 'بیمار',
+        'report.birthTime': 'زمان تولد',
+        'report.sampleTime': 'زمان نمونه',
+        'report.age': 'سن هنگام نمونه (ساعت)',
+        'report.gestationalAge': 'سن بارداری',
+        'report.gestationalAgeValue': '{weeks} هفته و {days} روز',
+        'report.bilirubin': 'بیلیروبین',
+        'report.tier': 'توصیه',
+        'report.guideline': 'گایدلاین',
+        'report.generatedAt': 'زمان تهیه‌ی گزارش',
+        'update.available': 'نسخه‌ی جدید در دسترس است.',
+        'update.reload': 'به‌روزرسانی',
+        'ui.patients': 'بیماران',
+        'ui.newPatient': 'بیمار جدید',
+        'ui.patientLabel': 'نام یا شماره تخت',
+        'ui.savePatient': 'ذخیره بیمار',
+        'patients.label': 'بیمار',
+        'patients.age': 'سن (ساعت)',
+        'patients.latest': 'آخرین مقدار ({unit})',
+        'patients.tier': 'وضعیت',
+        'patients.open': 'باز کردن',
+        'patients.remove': 'حذف بیمار',
+        'patients.confirmRemove': 'بیمار «{label}» حذف شود؟',
+        'patients.empty': 'هنوز بیماری ذخیره نشده است. بیماران فقط روی همین دستگاه ذخیره می‌شوند.',
+        'patients.storageError': 'ذخیره‌سازی بیماران در این مرورگر در دسترس نیست.',
+        'measurement.rateHeader': 'سرعت افزایش ({unit}/h)',
+        'measurement.rapidRise': 'سرعت افزایش بیلی‌روبین {rate} {unit} در ساعت است (حد هشدار: {threshold}). احتمال همولیز را بررسی کنید.',
+        'projection.title': 'پیش‌بینی تا آستانه‌ی فتوتراپی',
+        'projection.crossing': 'اگر روند فعلی ادامه یابد، بیلی‌روبین در سن حدود {age} ساعت ({time}) به آستانه‌ی فتوتراپی می‌رسد.',
+        'projection.noCrossing': 'با روند فعلی، بیلی‌روبین تا سن {maxAge} ساعت به آستانه‌ی فتوتراپی نمی‌رسد.',
+        'projection.nextSample': 'نمونه‌ی بعدی TSB یا TcB: {time} (سن {age} ساعت).',
+        'projection.basis.rate': 'بر اساس سرعت تغییر بین دو اندازه‌گیری آخر ({rate} {unit} در ساعت).',
+        'projection.basis.percentile': 'بر اساس یک اندازه‌گیری، با فرض ماندن روی همان صدک نوموگرام Bhutani.',
+        'projection.caution': 'این پیش‌بینی تخمینی است و جایگزین اندازه‌گیری نمی‌شود.',
+        'projection.needsSecondValue': 'برای نوزادان کمتر از ۳۵ هفته نموگرام صدکی وجود ندارد؛ پیش‌بینی زمان رسیدن به آستانه به اندازه‌گیری دوم نیاز دارد.'
+    },
+    en: {
+        'ui.pageTitle': 'Neonatal Bilirubin Calculator',
+        'ui.back': '← Back',
+        'ui.birthDate': 'Date of birth',
+        'ui.birthHour': 'Time of birth',
+        'ui.birthMinute': 'Minute of birth',
+        'ui.gaWeeks': 'Gestational age (weeks)',
+        'ui.gaDays': 'Days',
+        'ui.guideline': 'Guideline',
+        'ui.useLabTime': 'Use a custom lab time',
+        'ui.labDate': 'Lab date',
+        'ui.labHour': 'Lab time',
+        'ui.labMinute': 'Lab minute',
+        'ui.age': "Infant's age",
+        'ui.ageAtLab': "Infant's age at the lab sample",
+        'ui.risk.gestationalAge': 'Gestational age below 38 weeks',
+        'ui.risk.lowAlbumin': 'Serum albumin below 3.0 g/dL',
+        'ui.risk.isoimmune': 'Isoimmune hemolytic disease (positive direct antiglobulin test)',
+        'ui.risk.g6pd': 'G6PD deficiency',
+        'ui.risk.sepsis': 'Sepsis',
+        'ui.risk.instability': 'Significant clinical instability in the previous 24 hours',
+        'ui.albumin': 'Albumin (g/dL) - for the B/A ratio',
+        'ui.albuminPlaceholder': 'Not measured',
+        'ui.bilirubinPlaceholder': 'Not entered',
+        'ui.kernicterusSigns': 'Signs of kernicterus?',
+        'ui.symptom.cry': 'High-pitched, shrill cry',
+        'ui.symptom.hypertonia': 'Stiffness, especially arching of the neck and back',
+        'ui.symptom.seizure': 'Seizures or any abnormal movement',
+        'ui.symptom.lethargy': 'Severe lethargy (the infant is hard to wake)',
+        'ui.phototherapyActive': 'Phototherapy is in progress',
+        'ui.phototherapyDate': 'Phototherapy start date',
+        'ui.phototherapyHour': 'Start time',
+        'ui.phototherapyMinute': 'Start minute',
+        'ui.nomogram': 'Nomogram',
+        'ui.days4': '4 days',
+        'ui.days14': '14 days',
+        'ui.measurements': 'Measurement log',
+        'ui.addMeasurement': 'Record current measurement',
+        'ui.disclaimerTitle': 'Medical disclaimer:',
+        'ui.disclaimer': 'This tool is designed for educational and informational purposes and must not be used as a substitute for professional medical advice, diagnosis or treatment. Always seek the advice of a physician or another qualified health provider with any questions you may have regarding a medical condition.',
+        'age.display': '{days} d {hours} h {minutes} min',
+        'results.notice': 'Notice:',
+        'results.title': 'Results and recommendations:',
+        'results.emergency': 'Emergency action:',
+        'results.phototherapyThreshold': 'Phototherapy threshold',
+        'results.escalationThreshold': 'Escalation-of-care threshold',
+        'results.exchangeThreshold': 'Exchange threshold',
+        'results.reading': 'Measured value: {value} {unit} ({source})',
+        'error.invalidTreatmentType': "Error: the treatment type must be 'phototherapy' or 'exchange'.",
+        'error.gestationalAgeOutOfRange': 'Error: the gestational age is outside the range of the available curves.',
+        'guideline.label': 'Guideline: {name} (version {version})',
+        'guideline.automatic': 'Automatic (by gestational age)',
+        'guideline.loadError': 'Could not load guideline {file}: {reason}',
+        'error.ageBelowCurve': 'The infant ({ageInHours} h) is younger than the first age on the curve ({minAge} h) and needs special attention.',
+        'error.ageAboveCurve': 'The infant ({ageInHours} h) is older than the end of the curve ({maxAge} h). Thresholds are not extrapolated beyond the curve; check the dates or decide on clinical judgement.',
+        'validation.title': 'Correct the inputs:',
+        'validation.outOfRange': '{field}: {value} is outside the range {min} to {max}.',
+        'validation.birthInFuture': 'The time of birth is in the future.',
+        'validation.sampleBeforeBirth': 'The lab time is before the time of birth.',
+        'validation.sampleInFuture': 'The lab time is in the future.',
+        'validation.phototherapyStartBeforeBirth': 'The start of phototherapy is before the time of birth.',
+        'validation.phototherapyStartInFuture': 'The start of phototherapy is in the future.',
+        'validation.ageBeyondCurve': 'The infant ({ageInHours} h) is older than the end of the guideline curves ({maxAge} h), and the thresholds are not extrapolated. Check the dates.',
+        'validation.bilirubinImplausible': 'A bilirubin of {value} {unit} is not plausible (accepted range: {min} to {max} {unit}). Check the value and the unit.',
+        'validation.enterBilirubin': 'Enter the bilirubin value to get a recommendation.',
+        'notice.belowMinimumAge': 'This guideline does not apply to infants younger than {minAgeHours} hours.',
+        'recommendation.kernicterus.title': 'Recommendation: immediate exchange transfusion',
+        'recommendation.kernicterus.emergency': 'Signs of neurotoxicity (kernicterus) are a medical emergency.',
+        'recommendation.kernicterus.consult': 'Consult the NICU immediately and start treatment regardless of the bilirubin level.',
+        'recommendation.confirmTsb.title': 'TcB screen: obtain a confirmatory TSB',
+        'recommendation.confirmTsb.obtainTsb': 'Measure a serum TSB now and base the recommendation on it, before starting or withholding phototherapy.',
+        'recommendation.confirmTsb.reason': 'The TcB is within {margin} {unit} of the phototherapy threshold or above {limit} {unit}, where transcutaneous values are not reliable.',
+        'recommendation.exchange.title': 'Recommendation: immediate exchange transfusion',
+        'recommendation.exchange.consultNicu': 'Consult the NICU immediately',
+        'recommendation.exchange.intensiveAndHydration': 'Start intensive phototherapy and hydration',
+        'recommendation.exchange.prepare': 'Prepare for exchange transfusion',
+        'recommendation.exchangeByRatio.title': 'Recommendation: consider exchange transfusion (B/A ratio)',
+        'recommendation.exchangeByRatio.ratio': 'The bilirubin/albumin ratio ({ratio}) has reached the exchange cut-off ({ratioCutoff}).',
+        'recommendation.escalation.considerTransfer': 'Consider transfer to an appropriate center if the response is inadequate',
+        'recommendation.intensive.title': 'Recommendation: intensive phototherapy',
+        'recommendation.double.title': 'Recommendation: double phototherapy',
+        'recommendation.single.title': 'Recommendation: single phototherapy',
+        'recommendation.preterm.phototherapy.title': 'Recommendation: start phototherapy (preterm operating threshold)',
+        'recommendation.preterm.phototherapy.stop': 'Stop phototherapy when TSB is 1–2 mg/dL below the level at which it was started.',
+        'recommendation.preterm.recheck': 'This guideline sets no interval for repeat TSB; time the next measurement on clinical judgment.',
+        'recommendation.checkEvery8Hours': 'Check bilirubin every 8 hours',
+        'recommendation.checkEvery12Hours': 'Check bilirubin every 12 hours',
+        'recommendation.noAction.title': 'No immediate action needed (difference: {difference} {unit})',
+        'followUp.tsbIn4To24Hours': 'Recommendation: TSB or TcB in 4 to 24 hours.',
+        'followUp.tsbIn1To2Days': 'Recommendation: TSB or TcB in 1 to 2 days.',
+        'followUp.within2Days': 'Recommendation: follow up within 2 days.',
+        'followUp.within3Days': 'Recommendation: follow up within 3 days.',
+        'followUp.clinicalJudgment': 'Recommendation: clinical judgment.',
+        'tier.kernicterus': 'Emergency',
+        'tier.exchange': 'Exchange transfusion',
+        'tier.escalation': 'Escalation of care',
+        'tier.aboveThreshold': 'Intensive phototherapy',
+        'tier.phototherapy': 'Phototherapy',
+        'tier.nearThreshold': 'Intensive phototherapy',
+        'tier.doublePhototherapy': 'Double phototherapy',
+        'tier.singlePhototherapy': 'Single phototherapy',
+        'tier.followUp': 'Follow-up',
+        'tier.confirmTsb': 'Confirm with TSB',
+        'nomogram.phototherapy': 'Phototherapy',
+        'nomogram.escalation': 'Escalation of care',
+        'nomogram.exchange': 'Exchange transfusion',
+        'nomogram.xAxis': 'Age (hours)',
+        'nomogram.point': '{ageInHours} h: {value} {unit} ({source})',
+        'phototherapy.course': 'Phototherapy started at {ageAtStartHours} h; threshold at initiation: {thresholdAtStart} {unit}',
+        'phototherapy.beforeStart': 'The lab time is before the start of phototherapy.',
+        'phototherapy.continue.title': 'Recommendation: continue phototherapy',
+        'phototherapy.continue.detail': 'Stop phototherapy once TSB is {stopBelow} {unit} or lower ({margin} below the threshold at initiation).',
+        'phototherapy.continue.short': 'Continue phototherapy',
+        'phototherapy.stop.title': 'Recommendation: stop phototherapy',
+        'phototherapy.stop.detail': 'TSB is at least {margin} below the threshold at initiation ({thresholdAtStart} {unit}).',
+        'phototherapy.stop.short': 'Stop phototherapy',
+        'phototherapy.rebound.highRisk': 'Check rebound bilirubin 6 to 12 hours after stopping ({from} to {to}) and again the next day.',
+        'phototherapy.rebound.standard': 'Check rebound bilirubin or follow up clinically 24 to 48 hours after stopping ({from} to {to}).',
+        'ratio.label': 'B/A ratio (mg/dL per g/dL)',
+        'ratio.cutoff': 'Exchange cut-off: {cutoff}',
+        'riskFactors.title': 'Neurotoxicity risk factors',
+        'riskFactors.none': 'none',
+        'riskFactor.gestationalAgeBelow38': 'gestational age below 38 weeks',
+        'riskFactor.lowAlbumin': 'albumin below 3.0 g/dL',
+        'riskFactor.isoimmuneHemolyticDisease': 'isoimmune hemolytic disease',
+        'riskFactor.g6pdDeficiency': 'G6PD deficiency',
+        'riskFactor.sepsis': 'sepsis',
+        'riskFactor.clinicalInstability': 'clinical instability in the previous 24 hours',
+        'bilirubin.label': 'Total bilirubin ({unit})',
+        'measurement.age': 'Age (h)',
+        'measurement.value': 'Value',
+        'measurement.source': 'Source',
+        'measurement.tier': 'Tier',
+        'measurement.remove': 'Remove',
+        'ui.printSummary': 'Print summary',
+        'ui.copyLink': 'Copy link',
+        'ui.fhirNeedsLabel': 'Enter a name or bed to export FHIR.',
+        'share.copied': 'Link copied',
+        'report.title': 'Neonatal bilirubin assessment summary',
+        'report.patient': 'Patient',
+        'report.birthTime': 'Birth time',
+        'report.sampleTime': 'Sample time',
+        'report.age': 'Age at sample (hours)',
+        'report.gestationalAge': 'Gestational age',
+        'report.gestationalAgeValue': '{weeks} weeks {days} days',
+        'report.bilirubin': 'Bilirubin',
+        'report.tier': 'Recommendation',
+        'report.guideline': 'Guideline',
+        'report.generatedAt': 'Report generated',
+        'update.available': 'A new version is available.',
+        'update.reload': 'Update',
+        'ui.patients': 'Patients',
+        'ui.newPatient': 'New patient',
+        'ui.patientLabel': 'Name or bed',
+        'ui.savePatient': 'Save patient',
+        'patients.label': 'Patient',
+        'patients.age': 'Age (h)',
+        'patients.latest': 'Latest value ({unit})',
+        'patients.tier': 'Status',
+        'patients.open': 'Open',
+        'patients.remove': 'Delete patient',
+        'patients.confirmRemove': 'Delete patient "{label}"?',
+        'patients.empty': 'No patients saved yet. Patients are only stored on this device.',
+        'patients.storageError': 'Patient storage is not available in this browser.',
+        'measurement.rateHeader': 'Rate of rise ({unit}/h)',
+        'measurement.rapidRise': 'Bilirubin is rising by {rate} {unit} per hour (alert level: {threshold}). Consider hemolysis.',
+        'projection.title': 'Projection to the phototherapy threshold',
+        'projection.crossing': 'If the current trend continues, bilirubin reaches the phototherapy threshold at about {age} hours of age ({time}).',
+        'projection.noCrossing': 'At the current trend, bilirubin does not reach the phototherapy threshold by {maxAge} hours of age.',
+        'projection.nextSample': 'Next TSB or TcB: {time} (age {age} hours).',
+        'projection.basis.rate': 'Based on the rate of change between the last two measurements ({rate} {unit} per hour).',
+        'projection.basis.percentile': 'Based on a single measurement, assuming the infant stays on the same Bhutani nomogram percentile.',
+        'projection.caution': 'This projection is an estimate and does not replace a measurement.',
+        'projection.needsSecondValue': 'There is no percentile nomogram for infants under 35 weeks; projecting the time to the threshold needs a second measurement.'
+    }
+};
+
+/** The separator between list items, e.g. the present risk factors. */
+export const LIST_SEPARATORS = { fa: '، ', en: ', ' };
+
+/**
+ * Formats a number for a locale. Persian uses Persian digits and the Persian decimal
+ * separator ('٫'); English keeps the number as it is.
+ * @param {number|string|null|undefined} n - The number or string to format.
+ * @param {string} locale - One of the keys of `LOCALES`.
+ * @returns {string} The formatted number, or a hyphen '-' if the input is null or undefined.
+ */
+export function formatNumber(n, locale) {
+    if (n === null || n === undefined) return '-';
+    if (locale !== 'fa') return n.toString();
+    const farsiDigits = ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'];
+    return n.toString().replace(/\d/g, x => farsiDigits[x]).replace(/\./g, '٫');
+}
+
+/**
+ * Looks up the text for a message key and fills in its `{name}` placeholders.
+ * Numeric parameters are formatted with `formatNumber` for the locale; strings, such as file names,
+ * dataset versions and numbers the caller has already formatted, are kept as they are.
+ * @param {string} key - The message key, e.g. one returned by the guideline engine.
+ * @param {object} [params={}] - Values for the placeholders in the message.
+ * @param {string} [locale='fa'] - One of the keys of `LOCALES`.
+ * @returns {string} The message text, or the key itself if it has no translation.
+ */
+export function translate(key, params = {}, locale = 'fa') {
+    const template = (MESSAGES[locale] && MESSAGES[locale][key]) || key;
+    const format = (value) => (typeof value === 'string' ? value : formatNumber(value, locale));
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? format(params[name]) : match));
+}
+
+/**
+ * Formats a timestamp as a date and clock time in the calendar of the locale (Jalali for
+ * Persian, Gregorian for English), e.g. for follow-up times.
+ * @param {number} timestamp - The time in milliseconds.
+ * @param {string} locale - One of the keys of `LOCALES`.
+ * @returns {string} The formatted date and time.
+ */
+export function formatDateTime(timestamp, locale) {
+    return new Intl.DateTimeFormat(LOCALES[locale].intlLocale, { month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' }).format(timestamp);
+}
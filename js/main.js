@@ -1,9 +1,25 @@
 /**
  * @file main.js
  * @description This script contains all the client-side logic for the Neonatal Bilirubin Calculator.
- * It handles user input, calculates bilirubin thresholds based on AAP guidelines, and dynamically
- * updates the UI with results and recommendations.
+ * It handles user input, passes it to the guideline engine in `guideline.js`, and dynamically
+ * updates the UI with the returned results and recommendations. All text comes from the
+ * Persian/English message catalog in `i18n.js`.
  */
+import { TIERS, evaluateGuideline, registerGuideline, getGuidelines, getCurve } from './guideline.js';
+import { createMeasurement, analyzeMeasurements } from './measurements.js';
+import { getNomogramSeries, buildNomogramSvg } from './nomogram.js';
+import { projectTimeToThreshold, PERCENTILE_MIN_GESTATIONAL_AGE } from './projection.js';
+import { startPhototherapy, evaluatePhototherapy, getReboundCheck } from './phototherapy.js';
+import { getRiskFactors, hasRiskFactorsOtherThanGestationalAge } from './risk-factors.js';
+import { MS_PER_MINUTE, toTimestamp, getAgeInHours, splitAge } from './time.js';
+import { createPatientRecord, sortByUrgency } from './patients.js';
+import { loadPatients, savePatient, deletePatient } from './patient-store.js';
+import { buildReport, toCsv, toFhirBundle } from './report.js';
+import { encodeShareState, decodeShareState } from './share.js';
+import { UNITS, UMOL_PER_MG, INPUT_LIMITS, fromMgPerDl, toMgPerDl } from './units.js';
+import { validateInputs } from './validation.js';
+import { LOCALES, LIST_SEPARATORS, translate as translateMessage, formatNumber as formatLocaleNumber, formatDateTime as formatLocaleDateTime } from './i18n.js';
+
 document.addEventListener('DOMContentLoaded', function () {
     /**
      * This is the main execution function that runs after the DOM is fully loaded.
@@ -11,159 +27,67 @@ document.addEventListener('DOMContentLoaded', function () {
      * and calls the `initialize` function to set the default state and perform the first calculation.
      */
 
-    /**
-     * Calculates the action threshold for neonatal jaundice based on a piecewise linear model.
-     * This function determines the appropriate medical response (phototherapy or exchange transfusion)
-     * based on the newborn's age, gestational age, bilirubin level, and risk factors.
-     *
-     * @param {string} treatmentType - The type of treatment guideline to use: 'phototherapy' or 'exchange'.
-     * @param {boolean} hasRiskFactor - Whether neurotoxicity risk factors are present.
-     * @param {number} gestationalAge - The gestational age of the infant in weeks.
-     * @param {number} ageInHours - The postnatal age of the infant in hours.
-     * @param {number} bilirubinLevel - The total serum bilirubin (TSB) level in mg/dL.
-     * @returns {{threshold: number|null, needsAction: boolean, message: string}} An object containing the calculated threshold, whether action is needed, and a descriptive message. Returns null for threshold if inputs are out of range.
-     */
-    function getJaundiceGuideline(treatmentType, hasRiskFactor, gestationalAge, ageInHours, bilirubinLevel) {
-
-        /**
-         * Linearly interpolates a value between two points.
-         * @param {number} t - The current time point.
-         * @param {number} t1 - The start time of the segment.
-         * @param {number} b1 - The bilirubin value at the start time.
-         * @param {number} t2 - The end time of the segment.
-         * @param {number} b2 - The bilirubin value at the end time.
-         * @returns {number} The interpolated bilirubin value.
-         */
-        const interpolate = (t, t1, b1, t2, b2) => b1 + (t - t1) * ((b2 - b1) / (t2 - t1));
-
-        // Data points for phototherapy and exchange transfusion thresholds based on AAP guidelines.
-        const RAW_DATA = {
-            phototherapy: {
-                noRisk: {
-                    '40': { points: [[0, 9], [12, 11], [24, 13.3], [36, 15.3], [60, 18.5], [72, 19.8], [96, 21.7], [336, 21.8]] },
-                    '39': { points: [[0, 8.4], [12, 10.5], [24, 12.8], [36, 14.8], [60, 18.2], [72, 19.6], [96, 21.5], [336, 21.8]] },
-                    '38': { points: [[0, 8], [12, 10], [24, 12.1], [48, 16], [60, 17.5], [96, 20.7], [336, 21.8]] },
-                    '37': { points: [[0, 7.5], [12, 9.6], [24, 11.8], [48, 15.4], [60, 16.9], [96, 20], [336, 21.1]] },
-                    '36': { points: [[0, 6.9], [12, 9], [24, 11], [48, 14.6], [60, 16.2], [72, 17.5], [96, 19.4], [336, 20.4]] },
-                    '35': { points: [[0, 6.4], [12, 8.5], [36, 12.4], [48, 14.2], [60, 15.6], [72, 16.9], [96, 18.6], [336, 19.7]] },
-                    range: [35, 40]
-                },
-                withRisk: {
-                    '38': { points: [[0, 6.3], [24, 10.5], [72, 16.5], [96, 18.3], [336, 18.3]] },
-                    '37': { points: [[0, 5.9], [12, 8], [24, 10], [48, 13.6], [60, 14.9], [72, 16.1], [96, 17.9], [336, 18.3]] },
-                    '36': { points: [[0, 5.4], [24, 9.4], [60, 14.2], [96, 17], [336, 18.3]] },
-                    '35': { points: [[0, 4.9], [24, 8.9], [60, 13.5], [72, 14.6], [96, 16.2], [336, 17.4]] },
-                    range: [35, 38]
-                }
-            },
-            exchange: {
-                noRisk: {
-                    '38': { points: [[24, 21.4], [48, 24], [72, 25.9], [96, 27], [336, 27]] },
-                    '37': { points: [[24, 20.3], [48, 23.1], [72, 25.3], [96, 26.5], [336, 27]] },
-                    '36': { points: [[24, 19], [48, 21.9], [72, 24], [96, 25.5], [336, 27]] },
-                    '35': { points: [[24, 18], [48, 20.6], [72, 22.8], [96, 24.5], [336, 26.3]] },
-                    range: [35, 38]
-                },
-                withRisk: {
-                    '38': { points: [[24, 17.8], [48, 20.1], [72, 22.1], [96, 23.5], [336, 23.5]] },
-                    '37': { points: [[24, 17.2], [48, 19.7], [72, 21.7], [96, 23.1], [336, 23.5]] },
-                    '36': { points: [[24, 16.6], [48, 19], [72, 20.8], [96, 22.1], [336, 23.5]] },
-                    '35': { points: [[24, 16], [48, 18.4], [72, 20.1], [96, 21], [336, 22.9]] },
-                    range: [35, 38]
-                }
-            }
-        };
-
-        // --- 1. Select correct dataset ---
-        if (!RAW_DATA[treatmentType]) {
-            return { threshold: null, message: "خطا: نوع درمان باید 'phototherapy' یا 'exchange' باشد." };
-        }
-        const riskKey = hasRiskFactor ? 'withRisk' : 'noRisk';
-        const dataSet = RAW_DATA[treatmentType][riskKey];
-
-        // --- 2. Select correct gestational age data ---
-        let ageData;
-        const [minAge, maxAge] = dataSet.range;
-        if (gestationalAge >= maxAge) {
-            ageData = dataSet[maxAge.toString()];
-        } else if (dataSet[gestationalAge]) {
-            ageData = dataSet[gestationalAge];
-        } else {
-            // Handle 34 weeks for with-risk phototherapy as 35 weeks
-            if (treatmentType === 'phototherapy' && hasRiskFactor && gestationalAge === 34) {
-                 ageData = dataSet['35'];
-            } else {
-                 return { threshold: null, message: `خطا: برای این نمودار، سن حاملگی باید در محدوده تعریف شده باشد.` };
-            }
-        }
-
-        // --- 3. Find the correct segment and calculate threshold ---
-        const { points } = ageData;
-        if (ageInHours < points[0][0]) {
-             return { threshold: null, message: `نوزاد (${ageInHours} ساعت) کوچکتر از حداقل سن در نمودار (${points[0][0]} ساعت) است و نیاز به توجه ویژه دارد.` };
-        }
-
-        let threshold;
-        for (let i = 0; i < points.length - 1; i++) {
-            const [t1, b1] = points[i];
-            const [t2, b2] = points[i + 1];
-            if (ageInHours >= t1 && ageInHours <= t2) {
-                threshold = interpolate(ageInHours, t1, b1, t2, b2);
-                break;
-            }
-        }
-         if (threshold === undefined) { // If age is beyond the last point
-            const [last_t, last_b] = points[points.length - 1];
-            const [second_last_t, second_last_b] = points[points.length - 2];
-            threshold = interpolate(ageInHours, second_last_t, second_last_b, last_t, last_b);
-        }
-
-
-        const roundedThreshold = parseFloat(threshold.toFixed(2));
-        const needsAction = bilirubinLevel >= roundedThreshold;
-
-        // --- 4. Generate final message ---
-        const treatmentText = treatmentType === 'phototherapy' ? 'فتوتراپی' : 'تعویض خون';
-        const riskText = hasRiskFactor ? 'با ریسک فاکتور' : 'بدون ریسک فاکتور';
-
-        const message = `نوزاد ${gestationalAge} هفته در سن ${ageInHours} ساعت:
-    آستانه اقدام: ${roundedThreshold} mg/dL
-    بیلی‌روبین بیمار: ${bilirubinLevel} mg/dL
-    نتیجه: ${needsAction ? 'نیاز به اقدام دارد.' : 'نیاز به اقدام ندارد.'}`;
-
-        return {
-            threshold: roundedThreshold,
-            needsAction: needsAction,
-            message: message
-        };
-    }
+    const languageControl = document.getElementById('language-control');
+    const patientLabelInput = document.getElementById('patient-label');
+    const savePatientButton = document.getElementById('save-patient-button');
+    const newPatientButton = document.getElementById('new-patient-button');
+    const wardList = document.getElementById('ward-list');
+    const updateBanner = document.getElementById('update-banner');
+    const exportSection = document.getElementById('export-section');
+    const printButton = document.getElementById('print-button');
+    const copyLinkButton = document.getElementById('copy-link-button');
+    const exportControl = document.getElementById('export-control');
+    const fhirExportButton = exportControl.querySelector('[data-format="fhir"]');
+    const printSummary = document.getElementById('print-summary');
+    const updateButton = document.getElementById('update-button');
     const dobPicker = document.getElementById('dob-datepicker');
+    const dobDateInput = document.getElementById('dob-date');
     const birthHourInput = document.getElementById('birth-hour');
+    const birthMinuteInput = document.getElementById('birth-minute');
     const useLabTimeCheckbox = document.getElementById('use-lab-time-checkbox');
     const labTimeSection = document.getElementById('lab-time-section');
     const labDatePicker = document.getElementById('lab-datepicker');
+    const labDateInput = document.getElementById('lab-date');
     const labHourInput = document.getElementById('lab-hour');
+    const labMinuteInput = document.getElementById('lab-minute');
     const ageDisplay = document.getElementById('age-display');
     const ageLabel = document.getElementById('age-label');
     const ageHourDisplay = document.getElementById('age-hour-display');
-    const gaControl = document.getElementById('ga-segmented-control');
+    const gaWeeksInput = document.getElementById('ga-weeks');
+    const gaDaysInput = document.getElementById('ga-days');
     const bilirubinInput = document.getElementById('bilirubin-input');
-    const riskFactorCheckbox = document.getElementById('risk-factors');
+    const guidelineSelect = document.getElementById('guideline-select');
+    const guidelineErrors = document.getElementById('guideline-errors');
+    const riskFactorList = document.getElementById('risk-factor-list');
+    const riskGaCheckbox = document.getElementById('risk-ga');
+    const riskLowAlbuminCheckbox = document.getElementById('risk-low-albumin');
+    const albuminInput = document.getElementById('albumin-input');
     const kernicterusSignsCheckbox = document.getElementById('kernicterus-signs');
     const resultArea = document.getElementById('result-area');
+    const bilirubinSourceControl = document.getElementById('bilirubin-source-control');
+    const bilirubinUnitControl = document.getElementById('bilirubin-unit-control');
+    const bilirubinLabel = document.getElementById('bilirubin-label');
+    const addMeasurementButton = document.getElementById('add-measurement-button');
+    const measurementLog = document.getElementById('measurement-log');
+    const nomogramSection = document.getElementById('nomogram-section');
+    const nomogramChart = document.getElementById('nomogram-chart');
+    const nomogramRangeControl = document.getElementById('nomogram-range-control');
+    const phototherapyCheckbox = document.getElementById('phototherapy-checkbox');
+    const phototherapySection = document.getElementById('phototherapy-section');
+    const phototherapyDatePicker = document.getElementById('phototherapy-datepicker');
+    const phototherapyDateInput = document.getElementById('phototherapy-date');
+    const phototherapyHourInput = document.getElementById('phototherapy-hour');
+    const phototherapyMinuteInput = document.getElementById('phototherapy-minute');
+    const phototherapyResult = document.getElementById('phototherapy-result');
 
     // --- Helpers ---
     /**
-     * Converts a number to a string with Persian (Farsi) digits.
-     * Handles both integers and floating-point numbers, and also converts the decimal point
-     * to a Persian decimal separator ('٫').
+     * Formats a number for the current locale (Persian digits in Persian).
      * @param {number|string|null|undefined} n The number or string to be converted.
-     * @returns {string} The number represented with Persian digits. Returns a hyphen '-' if the input is null or undefined.
+     * @returns {string} The formatted number. Returns a hyphen '-' if the input is null or undefined.
      */
-    function toPersianNum(n) {
-        if (n === null || n === undefined) return '-';
-        const farsiDigits = ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'];
-        return n.toString().replace(/\d/g, x => farsiDigits[x]).replace(/\./g, '٫');
+    function formatNumber(n) {
+        return formatLocaleNumber(n, state.locale);
     }
 
     /**
@@ -184,18 +108,179 @@ document.addEventListener('DOMContentLoaded', function () {
             .replace(arabicDigits, c => c.charCodeAt(0) - 0x0660);
     }
 
+    /**
+     * Escapes text typed by the user, such as a patient label, before it is put into HTML.
+     * @param {string} text The text to escape.
+     * @returns {string} The text with HTML special characters replaced by entities.
+     */
+    function escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return text.replace(/[&<>"']/g, c => entities[c]);
+    }
+
+    /**
+     * Formats a timestamp as a date and clock time in the calendar of the current locale, e.g. for follow-up times.
+     * @param {number} timestamp The time in milliseconds.
+     * @returns {string} The formatted date and time.
+     */
+    function formatDateTime(timestamp) {
+        return formatLocaleDateTime(timestamp, state.locale);
+    }
+
+    /**
+     * Looks up the text of a message key in the current locale and fills in its `{name}` placeholders.
+     * @param {string} key The message key, e.g. one returned by the guideline engine.
+     * @param {object} [params={}] Values for the placeholders in the message.
+     * @returns {string} The message text, or the key itself if it has no translation.
+     */
+    function translate(key, params = {}) {
+        return translateMessage(key, params, state.locale);
+    }
+
+    /**
+     * Converts a bilirubin value from mg/dL (the unit of the guideline engine) to the chosen unit.
+     * @param {number|null} value The value in mg/dL.
+     * @returns {number|null} The value in `state.unit`.
+     */
+    function toDisplayUnit(value) {
+        return fromMgPerDl(value, state.unit);
+    }
+
+    /** The parameters of guideline messages that hold bilirubin values (mg/dL). */
+    const BILIRUBIN_PARAMS = ['difference', 'margin', 'limit'];
+
+    /**
+     * Prepares message parameters for display: the named bilirubin values are converted to the
+     * chosen unit and `{unit}` is filled in.
+     * @param {object} params The message parameters, with bilirubin values in mg/dL.
+     * @param {string[]} names The parameters that hold bilirubin values.
+     * @returns {object} A copy of the parameters for `translate`.
+     */
+    function withDisplayUnit(params, names) {
+        const converted = { ...params, unit: state.unit };
+        for (const name of names) {
+            if (typeof converted[name] === 'number') converted[name] = toDisplayUnit(converted[name]);
+        }
+        return converted;
+    }
+
+    /**
+     * Formats a rate of rise (mg/dL per hour) in the chosen unit per hour.
+     * @param {number} rate The rate in mg/dL per hour.
+     * @returns {string} The rate with two decimals in mg/dL or one in µmol/L.
+     */
+    function formatRate(rate) {
+        return state.unit === 'µmol/L' ? (rate * UMOL_PER_MG).toFixed(1) : rate.toFixed(2);
+    }
+
+    /**
+     * Rounds an age for display; the engine still gets the age to the minute.
+     * @param {number} ageInHours The age in fractional hours.
+     * @returns {number} The age in hours with at most one decimal.
+     */
+    function formatAge(ageInHours) {
+        return parseFloat(ageInHours.toFixed(1));
+    }
+
+    /**
+     * Reads a preference the user chose last time.
+     * @param {string} key The storage key.
+     * @param {string[]} allowed The valid values.
+     * @param {string} fallback The value to use when nothing valid was stored.
+     * @returns {string} The stored value or the fallback.
+     */
+    function loadPreference(key, allowed, fallback) {
+        try {
+            const value = localStorage.getItem(key);
+            return allowed.includes(value) ? value : fallback;
+        } catch (error) {
+            return fallback; // Storage can be unavailable, e.g. in private browsing
+        }
+    }
+
+    /**
+     * Stores a preference for the next visit. It is silently not kept when storage is unavailable.
+     * @param {string} key The storage key.
+     * @param {string} value The value to store.
+     */
+    function savePreference(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            // Storage can be unavailable, e.g. in private browsing
+        }
+    }
+
+    /**
+     * Renders the name and version of the guideline dataset a result was computed with.
+     * @param {{id: string, name: string, version: string}|null} guideline The `guideline` of an engine result.
+     * @returns {string} The HTML of the label, or an empty string if no dataset was used.
+     */
+    function renderGuidelineLabel(guideline) {
+        if (!guideline) return '';
+        return `<div class="guideline-label">${translate('guideline.label', { name: guideline.name, version: guideline.version })}</div>`;
+    }
+
+    /**
+     * Renders the current reading with its source, so a TcB screen is never mistaken for a TSB.
+     * @returns {string} The HTML of the label, or an empty string without a value.
+     */
+    function renderReadingLabel() {
+        if (state.totalBilirubin === null) return '';
+        return `<div class="guideline-label">${translate('results.reading', { value: toDisplayUnit(state.totalBilirubin), unit: state.unit, source: state.bilirubinSource })}</div>`;
+    }
+
+    /**
+     * Renders the risk factors present in the checklist, so they are visible next to the thresholds
+     * they were evaluated with.
+     * @param {string[]} riskFactors The keys of the present risk factors.
+     * @returns {string} The HTML of the summary line.
+     */
+    function renderRiskFactorSummary(riskFactors) {
+        const list = riskFactors.length > 0 ? riskFactors.map(factor => translate(`riskFactor.${factor}`)).join(LIST_SEPARATORS[state.locale]) : translate('riskFactors.none');
+        return `<div class="risk-factor-summary">${translate('riskFactors.title')}: ${list}</div>`;
+    }
+
     // --- State Object (Single Source of Truth) ---
     const state = {
+        locale: 'fa', // Language of the page, restored from the saved preference
+        patientId: null, // Id of the stored record being edited; null for an unsaved patient
+        patientLabel: '', // Name or bed of the patient
         birthDate: null,
         birthHour: null,
+        birthMinute: null,
         labDate: null,
         labHour: null,
+        labMinute: null,
         useLabTime: false,
-        ageInHours: null,
-        totalBilirubin: null, // Default to null, placeholder will be shown
-        gestationalAge: 38,
-        hasRiskFactors: true,
+        ageInHours: null, // Fractional hours, to the minute
+        unit: 'mg/dL', // Display and input unit of bilirubin, restored from the saved preference
+        bilirubinEntry: null, // The bilirubin input in `unit`; null shows the placeholder
+        totalBilirubin: null, // The bilirubin input converted to mg/dL for the guideline engine
+        bilirubinSource: 'TSB',
+        gestationalAge: 38, // Completed weeks
+        gestationalAgeDays: 0,
+        albumin: null, // Serum albumin in g/dL, null if not measured
+        riskFindings: { // The clinical risk factors ticked in the checklist
+            isoimmuneHemolyticDisease: false,
+            g6pdDeficiency: false,
+            sepsis: false,
+            clinicalInstability: false
+        },
+        riskFactors: [], // Keys of all present risk factors, derived from the findings, GA and albumin
+        hasRiskFactors: false,
         hasKernicterusSigns: false,
+        guidelineId: null, // Preferred guideline dataset; null selects by gestational age
+        birthTime: null, // Timestamp (ms) derived from birthDate, birthHour and birthMinute
+        evaluationTime: null, // Timestamp (ms) of the lab sample, or of "now"
+        measurements: [], // Serial TSB/TcB entries of the current patient
+        result: null, // The latest `evaluateGuideline` result; null while the inputs have problems
+        problems: [], // Input problems from `validateInputs`; no recommendation is shown while there are any
+        nomogramMaxHours: 336,
+        phototherapyActive: false,
+        phototherapyStartDate: null,
+        phototherapyStartHour: null,
+        phototherapyStartMinute: null,
     };
 
     // --- Main Calculation & UI Update Function ---
@@ -205,143 +290,415 @@ document.addEventListener('DOMContentLoaded', function () {
      * orchestrator for the calculator's logic whenever an input changes.
      */
     function recalculateAndRender() {
-        state.gestationalAge = parseInt(gaControl.querySelector('.active')?.dataset.ga || '38', 10);
-        state.hasRiskFactors = riskFactorCheckbox.checked;
+        state.totalBilirubin = toMgPerDl(state.bilirubinEntry, state.unit);
+        riskFactorList.querySelectorAll('input[data-factor]').forEach(checkbox => {
+            state.riskFindings[checkbox.dataset.factor] = checkbox.checked;
+        });
+        state.riskFactors = getRiskFactors({ gestationalAge: state.gestationalAge, albumin: state.albumin, ...state.riskFindings });
+        state.hasRiskFactors = hasRiskFactorsOtherThanGestationalAge(state.riskFactors);
+        riskGaCheckbox.checked = state.riskFactors.includes('gestationalAgeBelow38');
+        riskLowAlbuminCheckbox.checked = state.riskFactors.includes('lowAlbumin');
         state.hasKernicterusSigns = kernicterusSignsCheckbox.checked;
 
         if (state.birthDate && state.birthHour !== null) {
-            const birthDateTime = new Date(state.birthDate);
-            birthDateTime.setHours(state.birthHour, 0, 0, 0);
-
-            let evaluationTime = new Date();
+            state.birthTime = toTimestamp(state.birthDate, state.birthHour, state.birthMinute ?? 0);
+            // The current time is taken to the minute, like the entered times, so a shared link keeps the same age.
+            state.evaluationTime = Math.floor(Date.now() / MS_PER_MINUTE) * MS_PER_MINUTE;
             if (state.useLabTime && state.labDate && state.labHour !== null) {
-                const labDateTime = new Date(state.labDate);
-                labDateTime.setHours(state.labHour, 0, 0, 0);
-                evaluationTime = labDateTime;
+                state.evaluationTime = toTimestamp(state.labDate, state.labHour, state.labMinute ?? 0);
             }
+            state.ageInHours = getAgeInHours(state.birthTime, state.evaluationTime);
 
-            const ageInMillis = evaluationTime.getTime() - birthDateTime.getTime();
-            state.ageInHours = Math.max(0, Math.floor(ageInMillis / (1000 * 60 * 60)));
-
-            const days = Math.floor(state.ageInHours / 24);
-            const hoursPart = state.ageInHours % 24;
-            ageDisplay.innerHTML = `<span id="age-hour-display" class="age-hour">${toPersianNum(state.ageInHours)}H</span> ${toPersianNum(days)} روز و ${toPersianNum(hoursPart)} ساعت`;
+            ageDisplay.innerHTML = `<span id="age-hour-display" class="age-hour">${formatNumber(formatAge(state.ageInHours))}H</span> ${translate('age.display', splitAge(state.ageInHours))}`;
         } else {
             state.ageInHours = null;
+            state.birthTime = null;
+            state.evaluationTime = null;
             ageDisplay.innerHTML = `<span id="age-hour-display" class="age-hour"></span> -`;
         }
+        validateCurrentInputs();
 
         runGuidelineLogic();
+        renderPhototherapy();
+        renderMeasurementLog();
+        renderNomogram();
+        renderPatientControls();
+        renderWardList();
+    }
+
+    /**
+     * Checks the inputs with `validateInputs` and marks the numeric inputs that are out of range.
+     * The lab and phototherapy fields are only checked while they are in use.
+     */
+    function validateCurrentInputs() {
+        const isInUse = (stateKey) => (!stateKey.startsWith('lab') || state.useLabTime) &&
+            (!stateKey.startsWith('phototherapy') || state.phototherapyActive);
+        state.problems = validateInputs({
+            now: Date.now(),
+            birthTime: state.birthTime,
+            sampleTime: state.evaluationTime,
+            phototherapyStartTime: getPhototherapyStartTime(),
+            bilirubin: state.bilirubinEntry,
+            unit: state.unit,
+            maxAgeHours: getCurveEnd(),
+            fields: numericInputs
+                .filter(({ stateKey, options }) => options.labelKey && isInUse(stateKey))
+                .map(({ stateKey, options }) => ({ name: stateKey, value: state[stateKey], min: options.min, max: options.max }))
+        });
+        for (const { input, stateKey } of numericInputs) {
+            const isInvalid = state.problems.some(problem => problem.field === stateKey ||
+                (stateKey === 'bilirubinEntry' && problem.key === 'validation.bilirubinImplausible'));
+            input.classList.toggle('invalid', isInvalid);
+            input.setAttribute('aria-invalid', String(isInvalid));
+        }
+    }
+
+    /**
+     * Returns the last age of the phototherapy curve that applies to the infant.
+     * @returns {number|null} The age in hours, or null when no curve applies (the engine reports that).
+     */
+    function getCurveEnd() {
+        if (state.gestationalAge === null) return null;
+        const { points } = getCurve('phototherapy', state.hasRiskFactors, state.gestationalAge, state.guidelineId);
+        return points === null ? null : points[points.length - 1][0];
+    }
+
+    /**
+     * Renders the input problems, one warning each, in place of the results.
+     */
+    function renderProblems() {
+        const labelKeys = Object.fromEntries(numericInputs.map(({ stateKey, options }) => [stateKey, options.labelKey]));
+        const warnings = state.problems.map(({ key, params, field }) =>
+            `<div class="recommendation high-risk">${translate(key, field ? { ...params, field: translate(labelKeys[field]) } : params)}</div>`
+        ).join('');
+        resultArea.innerHTML = `<h2 class="results-title">${translate('validation.title')}</h2>${warnings}`;
+    }
+
+    // --- Serial Measurements ---
+    /**
+     * Renders the measurement log of the current patient: one row per entry with its age, value,
+     * source, tier and the rate of rise since the previous entry, followed by a warning for every
+     * rise at or above the AAP 2022 cut-off.
+     */
+    function renderMeasurementLog() {
+        addMeasurementButton.disabled = state.totalBilirubin === null || state.evaluationTime === null || state.problems.length > 0;
+        if (state.measurements.length === 0 || state.birthTime === null) {
+            measurementLog.innerHTML = '';
+            return;
+        }
+
+        const entries = analyzeMeasurements(state.measurements, {
+            birthTime: state.birthTime,
+            gestationalAge: state.gestationalAge,
+            hasRiskFactors: state.hasRiskFactors,
+            guidelineId: state.guidelineId
+        });
+        const course = state.problems.length > 0 ? null : getPhototherapyCourse();
+        const rows = entries.map(entry => {
+            let tierText = entry.result.tier ? translate(`tier.${entry.result.tier}`) : '-';
+            if (course && entry.time >= course.startTime) {
+                const { decision } = evaluatePhototherapy(course, entry.value, state);
+                tierText = translate(`phototherapy.${decision}.short`);
+            }
+            const rateText = entry.rateOfRise === null ? '-' : formatNumber(formatRate(entry.rateOfRise));
+            return `<tr class="${entry.isRapidRise ? 'rapid-rise' : ''}"><td>${formatNumber(formatAge(entry.ageInHours))}</td><td>${formatNumber(toDisplayUnit(entry.value))}</td><td>${entry.source}</td><td>${tierText}</td><td>${rateText}</td><td><button type="button" class="remove-measurement" data-id="${entry.id}" aria-label="${translate('measurement.remove')}">&times;</button></td></tr>`;
+        }).join('');
+        const warnings = entries.filter(entry => entry.isRapidRise).map(entry =>
+            `<div class="recommendation medium-risk">${translate('measurement.rapidRise', { rate: formatNumber(formatRate(entry.rateOfRise)), threshold: formatNumber(formatRate(entry.rapidRiseThreshold)), unit: state.unit })}</div>`
+        ).join('');
+
+        measurementLog.innerHTML = `<table class="measurement-table"><thead><tr><th>${translate('measurement.age')}</th><th>${translate('measurement.value')}</th><th>${translate('measurement.source')}</th><th>${translate('measurement.tier')}</th><th>${translate('measurement.rateHeader', { unit: state.unit })}</th><th></th></tr></thead><tbody>${rows}</tbody></table>${warnings}`;
     }
 
     // --- Core Guideline Logic ---
     /**
-     * Executes the core logic for determining treatment recommendations based on the current state.
-     * It handles special cases like kernicterus signs or infants younger than 24 hours,
-     * calls the `getJaundiceGuideline` function for phototherapy and exchange thresholds,
-     * and renders the final recommendations and results in the UI.
+     * Evaluates the current state with the guideline engine (`evaluateGuideline`) and renders
+     * the returned thresholds, notices or recommendation in the UI.
      */
     function runGuidelineLogic() {
-        // OVERRIDE: If kernicterus signs are present, immediate action is required.
-        if (state.hasKernicterusSigns) {
-            const recommendationHtml = `<div class="recommendation-title">توصیه: تعویض خون فوری</div><ul class="recommendation-list"><li>وجود علائم نوروتوکسیسیتی (کرن‌ایکتروس) یک اورژانس پزشکی است.</li><li>مشاوره فوری با NICU و شروع درمان بدون در نظر گرفتن سطح بیلی‌روبین.</li></ul>`;
-            resultArea.innerHTML = `<h2 class="results-title">اقدام اورژانسی:</h2><div class="recommendation high-risk">${recommendationHtml}</div>`;
+        // No recommendation is made from inputs with problems.
+        if (state.problems.length > 0) {
+            state.result = null;
+            exportSection.hidden = true;
+            renderProblems();
             return;
         }
 
-        if (state.ageInHours === null || state.gestationalAge === null) {
+        const result = evaluateGuideline({
+            gestationalAge: state.gestationalAge,
+            ageInHours: state.ageInHours,
+            bilirubin: state.totalBilirubin,
+            source: state.bilirubinSource,
+            hasRiskFactors: state.hasRiskFactors,
+            albumin: state.albumin,
+            hasKernicterusSigns: state.hasKernicterusSigns,
+            guidelineId: state.guidelineId
+        });
+        state.result = result;
+        exportSection.hidden = buildCurrentReport() === null;
+
+        if (result.status === 'incomplete' && result.thresholds === null) {
             resultArea.innerHTML = '';
             return;
         }
 
-        // Rule: Do not show recommendations for infants < 24 hours old.
-        if (state.ageInHours < 24) {
-            resultArea.innerHTML = `<h2 class="results-title">توجه:</h2><div class="recommendation medium-risk" style="text-align: center;">این گایدلاین برای نوزادان با سن کمتر از ۲۴ ساعت کاربرد ندارد.</div>`;
+        // Notices (age below the guideline's minimum) and out-of-range errors are shown on their own.
+        const guidelineHtml = renderGuidelineLabel(result.guideline);
+        if (result.status !== 'ok' && result.status !== 'incomplete') {
+            resultArea.innerHTML = `<h2 class="results-title">${translate('results.notice')}</h2>${guidelineHtml}<div class="recommendation medium-risk" style="text-align: center;">${translate(result.messages.title, result.messages.params)}</div>`;
             return;
         }
 
-        // Use 8.0 as the default bilirubin value if the input is empty.
-        const bilirubinForCalc = state.totalBilirubin === null ? 8.0 : state.totalBilirubin;
+        // Without a bilirubin value the engine gives only the thresholds.
+        const hasTier = result.tier !== null;
+        const recommendationHtml = hasTier ? renderRecommendation(result.messages) : translate('validation.enterBilirubin');
+        const recommendationClass = hasTier ? `${result.severity === 'none' ? 'no' : result.severity}-risk` : 'no-risk';
 
-        const photoResult = getJaundiceGuideline('phototherapy', state.hasRiskFactors, state.gestationalAge, state.ageInHours, bilirubinForCalc);
-        const exchangeResult = getJaundiceGuideline('exchange', state.hasRiskFactors, state.gestationalAge, state.ageInHours, bilirubinForCalc);
+        // Kernicterus signs are an emergency: the thresholds are irrelevant.
+        if (result.thresholds === null) {
+            resultArea.innerHTML = `<h2 class="results-title">${translate('results.emergency')}</h2><div class="recommendation ${recommendationClass}">${recommendationHtml}</div>`;
+            return;
+        }
+
+        const { phototherapy: phototherapyThreshold, escalation: escalationThreshold, exchange: exchangeThreshold } = result.thresholds;
+        const ratioCardHtml = result.bilirubinAlbuminRatio ? renderRatioCard(result.bilirubinAlbuminRatio) : '';
+        // Datasets without an escalation-of-care threshold show only the other two.
+        const escalationCardHtml = escalationThreshold === null ? '' : `<div class="result-card"><div class="result-card-icon-wrapper icon-escalation"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg></div><div class="result-card-content"><span class="result-card-value">${formatNumber(toDisplayUnit(escalationThreshold))}</span><span class="result-card-label">${translate('results.escalationThreshold')}</span></div></div>`;
+        resultArea.innerHTML = `<h2 class="results-title">${translate('results.title')}</h2>${guidelineHtml}${renderReadingLabel()}${renderRiskFactorSummary(state.riskFactors)}<div class="results-grid"><div class="result-card"><div class="result-card-icon-wrapper icon-phototherapy"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="4"></circle><path d="M12 2v2"/><path d="M12 20v2"/><path d="m4.93 4.93 1.41 1.41"/><path d="m17.66 17.66 1.41 1.41"/><path d="M2 12h2"/><path d="M20 12h2"/><path d="m6.34 17.66-1.41 1.41"/><path d="m19.07 4.93-1.41 1.41"/></svg></div><div class="result-card-content"><span class="result-card-value">${formatNumber(toDisplayUnit(phototherapyThreshold))}</span><span class="result-card-label">${translate('results.phototherapyThreshold')}</span></div></div>${escalationCardHtml}<div class="result-card"><div class="result-card-icon-wrapper icon-exchange"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22a7 7 0 0 0 7-7c0-2-1-3.9-3-5.5s-3.5-4-5.5-5.5c-2 1.5-4 3.5-5.5 5.5S5 13 5 15a7 7 0 0 0 7 7z"></path></svg></div><div class="result-card-content"><span class="result-card-value">${formatNumber(toDisplayUnit(exchangeThreshold))}</span><span class="result-card-label">${translate('results.exchangeThreshold')}</span></div></div>${ratioCardHtml}</div><div class="recommendation ${recommendationClass}">${recommendationHtml}</div>${renderProjection(result)}`;
+    }
 
-        // Check for errors or out-of-range messages from the new function
-        if (photoResult.threshold === null || exchangeResult.threshold === null) {
-            // Display the more specific message from the guideline function
-            const message = photoResult.message || exchangeResult.message;
-            resultArea.innerHTML = `<h2 class="results-title">توجه:</h2><div class="recommendation medium-risk" style="text-align: center;">${message}</div>`;
+    /**
+     * Renders when the bilirubin is projected to reach the phototherapy threshold and when to
+     * sample next, from the logged values up to the current one (see `projection.js`).
+     * @param {object} result The `evaluateGuideline` result for the current value.
+     * @returns {string} The HTML of the projection, or an empty string when there is nothing to project.
+     */
+    function renderProjection(result) {
+        if (state.totalBilirubin === null || state.birthTime === null || state.evaluationTime === null) return '';
+        // A TcB awaiting confirmation is not projected: the TSB is due now.
+        if (result.tier === TIERS.CONFIRM_TSB) return '';
+        const values = state.measurements
+            .filter(measurement => measurement.time < state.evaluationTime)
+            .map(({ time, value }) => ({ time, value }));
+        values.push({ time: state.evaluationTime, value: state.totalBilirubin });
+        const projection = projectTimeToThreshold({
+            values,
+            birthTime: state.birthTime,
+            gestationalAge: state.gestationalAge,
+            hasRiskFactors: state.hasRiskFactors,
+            guidelineId: state.guidelineId,
+            followUp: result.followUp
+        });
+        if (projection === null) {
+            // Preterm infants have no percentile track to follow from a single value.
+            const needsSecondValue = values.length === 1 && state.gestationalAge < PERCENTILE_MIN_GESTATIONAL_AGE && result.difference > 0;
+            return needsSecondValue ? `<div class="recommendation projection"><div class="recommendation-detail">${translate('projection.needsSecondValue')}</div></div>` : '';
+        }
+
+        const crossingText = projection.crossingAgeHours === null
+            ? translate('projection.noCrossing', { maxAge: projection.horizonHours })
+            : translate('projection.crossing', { age: formatAge(projection.crossingAgeHours), time: formatDateTime(projection.crossingTime) });
+        const basisText = projection.method === 'rate'
+            ? translate('projection.basis.rate', { rate: formatNumber(formatRate(projection.rate)), unit: state.unit })
+            : translate('projection.basis.percentile');
+        const nextSampleText = translate('projection.nextSample', { time: formatDateTime(projection.nextSampleTime), age: formatAge(projection.nextSampleAgeHours) });
+        return `<div class="recommendation projection"><div class="recommendation-title">${translate('projection.title')}</div><div class="recommendation-detail">${crossingText}</div><div class="recommendation-detail">${nextSampleText}</div><div class="recommendation-detail projection-basis">${basisText} ${translate('projection.caution')}</div></div>`;
+    }
+
+    /**
+     * Renders the bilirubin/albumin ratio as an extra result card, with the exchange cut-off
+     * of the guideline when it defines one. The ratio is not converted in µmol/L mode, as the
+     * cut-offs are published in mg/dL per g/dL; the card label names that unit.
+     * @param {{value: number, cutoffs: {exchange: number|null}}} ratio The `bilirubinAlbuminRatio` of the result.
+     * @returns {string} The HTML of the card.
+     */
+    function renderRatioCard(ratio) {
+        const { exchange: cutoff } = ratio.cutoffs;
+        const cutoffHtml = cutoff === null ? '' : `<span class="result-card-note">${translate('ratio.cutoff', { cutoff: formatNumber(cutoff.toFixed(1)) })}</span>`;
+        const reachedClass = cutoff !== null && ratio.value >= cutoff ? ' ratio-reached' : '';
+        return `<div class="result-card${reachedClass}"><div class="result-card-icon-wrapper icon-ratio"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="6" r="1.5"/><line x1="5" y1="12" x2="19" y2="12"/><circle cx="12" cy="18" r="1.5"/></svg></div><div class="result-card-content"><span class="result-card-value">${formatNumber(ratio.value.toFixed(1))}</span><span class="result-card-label">${translate('ratio.label')}</span>${cutoffHtml}</div></div>`;
+    }
+
+    /**
+     * Renders the recommendation block (title plus either a list or a detail line)
+     * from the message keys returned by the guideline engine.
+     * @param {{title: string, items?: string[], detail?: string, params?: object}} messages The message keys of the result.
+     * @returns {string} The HTML for the inside of the `.recommendation` element.
+     */
+    function renderRecommendation(messages) {
+        const params = withDisplayUnit(messages.params, BILIRUBIN_PARAMS);
+        if (typeof params.difference === 'number' && state.unit === 'mg/dL') params.difference = params.difference.toFixed(1);
+        if (typeof params.ratio === 'number') params.ratio = params.ratio.toFixed(1);
+        if (typeof params.ratioCutoff === 'number') params.ratioCutoff = params.ratioCutoff.toFixed(1);
+        const titleHtml = `<div class="recommendation-title">${translate(messages.title, params)}</div>`;
+        if (messages.items) {
+            return `${titleHtml}<ul class="recommendation-list">${messages.items.map(key => `<li>${translate(key, params)}</li>`).join('')}</ul>`;
+        }
+        return `${titleHtml}<div class="recommendation-detail">${translate(messages.detail, params)}</div>`;
+    }
+
+    // --- Phototherapy Course ---
+    /**
+     * Builds the phototherapy course from the start date and time inputs.
+     * @returns {{startTime: number, ageAtStartHours: number, thresholdAtStart: number|null, error?: string, params?: object}|null}
+     * The course, or null when phototherapy is not in progress or the start time is incomplete.
+     */
+    function getPhototherapyCourse() {
+        const startTime = getPhototherapyStartTime();
+        if (startTime === null || state.birthTime === null) {
+            return null;
+        }
+        return startPhototherapy({
+            startTime,
+            birthTime: state.birthTime,
+            gestationalAge: state.gestationalAge,
+            hasRiskFactors: state.hasRiskFactors,
+            guidelineId: state.guidelineId
+        });
+    }
+
+    /**
+     * Returns the start of phototherapy from the start date and time inputs.
+     * @returns {number|null} The start as a millisecond timestamp, or null when phototherapy is not in
+     * progress or the start time is incomplete.
+     */
+    function getPhototherapyStartTime() {
+        if (!state.phototherapyActive || !state.phototherapyStartDate || state.phototherapyStartHour === null) {
+            return null;
+        }
+        return toTimestamp(state.phototherapyStartDate, state.phototherapyStartHour, state.phototherapyStartMinute ?? 0);
+    }
+
+    /**
+     * Renders the phototherapy course: the threshold at initiation and, for a TSB taken after the
+     * start, whether to continue or stop, with the rebound check once phototherapy can stop.
+     */
+    function renderPhototherapy() {
+        const course = getPhototherapyCourse();
+        if (course === null || state.problems.length > 0) {
+            phototherapyResult.innerHTML = '';
+            return;
+        }
+        if (course.thresholdAtStart === null) {
+            phototherapyResult.innerHTML = `<div class="recommendation medium-risk">${translate(course.error, course.params)}</div>`;
             return;
         }
 
-        const phototherapyThreshold = photoResult.threshold;
-        const exchangeThreshold = exchangeResult.threshold;
-        const escalationThreshold = parseFloat((exchangeThreshold - 2).toFixed(2));
-
-        let recommendationHtml = '';
-        let recommendationClass = 'no-risk';
-        const difference = phototherapyThreshold - state.totalBilirubin;
-
-        if (state.totalBilirubin >= exchangeThreshold) {
-            recommendationClass = 'high-risk';
-            recommendationHtml = `<div class="recommendation-title">توصیه: تعویض خون فوری</div><ul class="recommendation-list"><li>مشاوره فوری با NICU</li><li>شروع فتوتراپی فشرده و هیدراتاسیون</li><li>آماده‌سازی برای تعویض خون</li></ul>`;
-        } else if (state.totalBilirubin >= escalationThreshold) {
-            recommendationClass = 'medium-risk';
-            recommendationHtml = `<div class="recommendation-title">توصیه: فتوتراپی فشرده (Intensive)</div><ul class="recommendation-list"><li>شروع فتوتراپی فشرده و هیدراتاسیون</li><li>چک بیلی‌روبین هر ۸ ساعت</li><li>بررسی انتقال به مرکز مناسب در صورت عدم پاسخ مناسب</li></ul>`;
-        } else if (state.totalBilirubin >= phototherapyThreshold) {
-            recommendationClass = 'low-risk';
-            recommendationHtml = `<div class="recommendation-title">توصیه: فتوتراپی فشرده (Intensive)</div><ul class="recommendation-list"><li>چک بیلی‌روبین هر ۸ ساعت</li></ul>`;
-        } else if (difference <= 0.5) { // از 0.5 واحد کمتر تا خود آستانه
-            recommendationClass = 'low-risk';
-            recommendationHtml = `<div class="recommendation-title">توصیه: فتوتراپی فشرده (Intensive)</div><ul class="recommendation-list"><li>چک بیلی‌روبین هر ۸ ساعت</li></ul>`;
-        } else if (difference <= 2) { // از 2 واحد کمتر تا 0.5 واحد کمتر
-            recommendationClass = 'low-risk';
-            recommendationHtml = `<div class="recommendation-title">توصیه: فتوتراپی دوگانه (Double)</div><ul class="recommendation-list"><li>چک بیلی‌روبین هر ۱۲ ساعت</li></ul>`;
-        } else if (difference <= 3) { // از 3 واحد کمتر تا 2 واحد کمتر
-             recommendationClass = 'low-risk';
-             recommendationHtml = `<div class="recommendation-title">توصیه: فتوتراپی ساده (Single)</div><ul class="recommendation-list"><li>چک بیلی‌روبین هر ۱۲ ساعت</li></ul>`;
-        } else { // بیشتر از 3 واحد کمتر از آستانه
-            let followUpText = 'قضاوت بالینی';
-            if (difference < 3.5) { // این منطق برای سازگاری با حالت‌های قبلی است
-                followUpText = 'توصیه: TSB یا TcB در ۴ تا ۲۴ ساعت.';
-            } else if (difference < 5.5) {
-                followUpText = 'توصیه: TSB یا TcB در ۱ تا ۲ روز.';
-            } else if (difference < 7.0) {
-                followUpText = `توصیه: ${state.ageInHours < 72 ? 'پیگیری طی ۲ روز' : 'قضاوت بالینی'}.`;
-            } else {
-                followUpText = `توصیه: ${state.ageInHours < 72 ? 'پیگیری طی ۳ روز' : 'قضاوت بالینی'}.`;
-            }
-            recommendationHtml = `<div class="recommendation-title">نیاز به اقدام فوری نیست (اختلاف: ${toPersianNum(difference.toFixed(1))})</div><div class="recommendation-detail">${followUpText}</div>`;
+        const courseHtml = `<div class="recommendation-detail">${translate('phototherapy.course', withDisplayUnit(course, ['thresholdAtStart']))}</div>`;
+        if (state.totalBilirubin === null) {
+            phototherapyResult.innerHTML = `<div class="recommendation no-risk">${courseHtml}</div>`;
+            return;
+        }
+        if (state.evaluationTime < course.startTime) {
+            phototherapyResult.innerHTML = `<div class="recommendation no-risk">${courseHtml}<div class="recommendation-detail">${translate('phototherapy.beforeStart')}</div></div>`;
+            return;
+        }
+
+        const { decision, reboundRisk, messages } = evaluatePhototherapy(course, state.totalBilirubin, state);
+        let detailHtml = `<div class="recommendation-detail">${translate(messages.detail, withDisplayUnit(messages.params, ['stopBelow', 'margin', 'thresholdAtStart']))}</div>`;
+        if (decision === 'stop') {
+            const rebound = getReboundCheck(state.evaluationTime, reboundRisk);
+            detailHtml += `<div class="recommendation-detail">${translate(rebound.messageKey, { from: formatDateTime(rebound.earliestTime), to: formatDateTime(rebound.latestTime) })}</div>`;
+        }
+        phototherapyResult.innerHTML = `<div class="recommendation ${decision === 'stop' ? 'no-risk' : 'low-risk'}"><div class="recommendation-title">${translate(messages.title)}</div>${courseHtml}${detailHtml}</div>`;
+    }
+
+    // --- Nomogram Chart ---
+    /**
+     * Draws the curves of the selected gestational age and risk group with the patient's logged
+     * values and the current reading. The chart is hidden until the birth time is known, when
+     * kernicterus signs are present, while the inputs have problems, or when the gestational age has no curves.
+     */
+    function renderNomogram() {
+        const series = state.birthTime === null || state.hasKernicterusSigns || state.problems.length > 0 ? null : getNomogramSeries(state.gestationalAge, state.hasRiskFactors, state.guidelineId);
+        nomogramSection.hidden = series === null;
+        if (series === null) {
+            nomogramChart.innerHTML = '';
+            return;
         }
 
-        resultArea.innerHTML = `<h2 class="results-title">نتایج و توصیه‌ها:</h2><div class="results-grid"><div class="result-card"><div class="result-card-icon-wrapper icon-phototherapy"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="4"></circle><path d="M12 2v2"/><path d="M12 20v2"/><path d="m4.93 4.93 1.41 1.41"/><path d="m17.66 17.66 1.41 1.41"/><path d="M2 12h2"/><path d="M20 12h2"/><path d="m6.34 17.66-1.41 1.41"/><path d="m19.07 4.93-1.41 1.41"/></svg></div><div class="result-card-content"><span class="result-card-value">${toPersianNum(phototherapyThreshold)}</span><span class="result-card-label">آستانه فتوتراپی</span></div></div><div class="result-card"><div class="result-card-icon-wrapper icon-escalation"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg></div><div class="result-card-content"><span class="result-card-value">${toPersianNum(escalationThreshold)}</span><span class="result-card-label">آستانه تشدید مراقبت</span></div></div><div class="result-card"><div class="result-card-icon-wrapper icon-exchange"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22a7 7 0 0 0 7-7c0-2-1-3.9-3-5.5s-3.5-4-5.5-5.5c-2 1.5-4 3.5-5.5 5.5S5 13 5 15a7 7 0 0 0 7 7z"></path></svg></div><div class="result-card-content"><span class="result-card-value">${toPersianNum(exchangeThreshold)}</span><span class="result-card-label">آستانه تعویض خون</span></div></div></div><div class="recommendation ${recommendationClass}">${recommendationHtml}</div>`;
+        const points = analyzeMeasurements(state.measurements, {
+            birthTime: state.birthTime,
+            gestationalAge: state.gestationalAge,
+            hasRiskFactors: state.hasRiskFactors,
+            guidelineId: state.guidelineId
+        });
+        const currentIsLogged = state.measurements.some(m => m.time === state.evaluationTime && m.value === state.totalBilirubin);
+        if (state.totalBilirubin !== null && state.ageInHours !== null && !currentIsLogged) {
+            points.push({ ageInHours: state.ageInHours, value: state.totalBilirubin, source: state.bilirubinSource });
+        }
+
+        const toDisplayCurve = (curve) => curve.map(([hours, bilirubin]) => [hours, toDisplayUnit(bilirubin)]);
+        const isSi = state.unit === 'µmol/L';
+        nomogramChart.innerHTML = buildNomogramSvg({
+            series: { phototherapy: toDisplayCurve(series.phototherapy), escalation: series.escalation && toDisplayCurve(series.escalation), exchange: toDisplayCurve(series.exchange) },
+            measurements: points.map(point => {
+                const value = toDisplayUnit(point.value);
+                return { ...point, value, label: translate('nomogram.point', { ...point, value, unit: state.unit }) };
+            }),
+            maxHours: state.nomogramMaxHours,
+            maxBilirubin: isSi ? 500 : undefined,
+            bilirubinStep: isSi ? 100 : undefined,
+            labels: {
+                phototherapy: translate('nomogram.phototherapy'),
+                escalation: translate('nomogram.escalation'),
+                exchange: translate('nomogram.exchange'),
+                xAxis: translate('nomogram.xAxis')
+            },
+            formatNumber
+        });
     }
 
     // --- Event Listeners & Initializers ---
+    /**
+     * Every input set up by `setupNumericInput`, so its value can be shown again in another locale
+     * and checked against its range.
+     */
+    const numericInputs = [];
+
+    /** Each date input: the Jalali picker shown in Persian and the Gregorian input shown in English. */
+    const dateFields = [
+        { stateKey: 'birthDate', picker: dobPicker, input: dobDateInput },
+        { stateKey: 'labDate', picker: labDatePicker, input: labDateInput },
+        { stateKey: 'phototherapyStartDate', picker: phototherapyDatePicker, input: phototherapyDateInput }
+    ];
+
+    /**
+     * Keeps a value changed by the wheel or a touch gesture within the range of its input.
+     * @param {number} value The stepped value.
+     * @param {{min?: number, max?: number}} options The options of the input.
+     * @returns {number} The value within the range.
+     */
+    function stepWithinRange(value, { min = 0, max }) {
+        return Math.max(min, max === undefined ? value : Math.min(max, value));
+    }
+
     /**
      * Sets up advanced event handling for a numeric input field.
      * This includes validation, conversion between Persian and English numerals,
      * and interaction via mouse wheel and touch-drag gestures for incrementing/decrementing the value.
      * @param {HTMLInputElement} input - The input element to attach the listeners to.
      * @param {string} stateKey - The key in the global `state` object where this input's value is stored.
-     * @param {object} [options={}] - Configuration options for the input.
-     * @param {number} [options.max] - The maximum allowed value.
+     * @param {object} [options={}] - Configuration options for the input. They are read on every change,
+     * so the caller can update them later (as the bilirubin input does when the unit changes).
+     * @param {number} [options.max] - The maximum allowed value. Typed values outside the range are kept
+     * and reported by `validateInputs`; the wheel and touch gestures stay within it.
      * @param {number} [options.min=0] - The minimum allowed value.
+     * @param {string} [options.labelKey] - The message key of the field label, used in its range warning.
      * @param {number} [options.step=1] - The increment/decrement step for wheel/touch events.
      * @param {boolean} [options.isFloat=false] - Whether the number is a floating-point value.
      * @param {number} [options.startValue=0] - The default value to use for calculations if the current state value is null.
      */
     function setupNumericInput(input, stateKey, options = {}) {
-        const { max, min = 0, step = 1, isFloat = false, startValue = 0 } = options;
+        numericInputs.push({ input, stateKey, options });
         const validateAndSet = (newValue) => {
+            const { isFloat = false } = options;
             let num;
             const englishValue = toEnglishNum(newValue.toString());
             const sanitized = englishValue.replace(isFloat ? /[^0-9.]/g : /[^0-9]/g, '');
             if (sanitized === '' || sanitized === '.') { state[stateKey] = null; return null; }
             num = isFloat ? parseFloat(sanitized) : parseInt(sanitized, 10);
             if (isNaN(num)) { state[stateKey] = null; return null; }
-            if (max !== undefined && num > max) num = max;
-            if (min !== undefined && num < min) num = min;
             if (isFloat) { num = parseFloat(num.toFixed(1)); }
             state[stateKey] = num;
             return num;
@@ -349,7 +706,7 @@ document.addEventListener('DOMContentLoaded', function () {
         input.addEventListener('blur', () => {
             validateAndSet(input.value);
             if (state[stateKey] !== null) {
-                input.value = toPersianNum(state[stateKey]);
+                input.value = formatNumber(state[stateKey]);
             } else {
                 input.value = '';
             }
@@ -364,10 +721,11 @@ document.addEventListener('DOMContentLoaded', function () {
         });
         input.addEventListener('wheel', (e) => {
             e.preventDefault();
+            const { step = 1, startValue = 0 } = options;
             let currentValue = state[stateKey] || startValue;
             currentValue += (e.deltaY < 0) ? step : -step;
-            const num = validateAndSet(currentValue);
-            input.value = (num !== null) ? toPersianNum(num) : '';
+            const num = validateAndSet(stepWithinRange(currentValue, options));
+            input.value = (num !== null) ? formatNumber(num) : '';
             recalculateAndRender();
         });
 
@@ -381,85 +739,673 @@ document.addEventListener('DOMContentLoaded', function () {
             const touchY = e.touches[0].clientY;
             const deltaY = touchStartY - touchY;
             if (Math.abs(deltaY) > 15) { // Threshold to trigger change
+                const { step = 1, startValue = 0 } = options;
                 let currentValue = state[stateKey] || startValue;
                 currentValue += (deltaY > 0) ? step : -step;
-                const num = validateAndSet(currentValue);
-                input.value = (num !== null) ? toPersianNum(num) : '';
+                const num = validateAndSet(stepWithinRange(currentValue, options));
+                input.value = (num !== null) ? formatNumber(num) : '';
                 recalculateAndRender();
                 touchStartY = touchY; // Reset start position
             }
         }, { passive: false });
     }
-    gaControl.addEventListener('click', (e) => {
+    useLabTimeCheckbox.addEventListener('change', () => {
+        state.useLabTime = useLabTimeCheckbox.checked;
+        labTimeSection.classList.toggle('visible', state.useLabTime);
+        renderAgeLabel();
+        recalculateAndRender();
+    });
+    for (const field of dateFields) {
+        field.picker.addEventListener('change', (e) => {
+            const [y, m, d] = e.detail.gregorian;
+            state[field.stateKey] = new Date(y, m - 1, d);
+            recalculateAndRender();
+        });
+        field.input.addEventListener('change', () => {
+            const [y, m, d] = field.input.value.split('-').map(Number);
+            state[field.stateKey] = field.input.value ? new Date(y, m - 1, d) : null;
+            recalculateAndRender();
+        });
+    }
+    /**
+     * Shows the chosen unit in the label and placeholder of the bilirubin input.
+     */
+    function renderBilirubinLabel() {
+        bilirubinLabel.textContent = translate('bilirubin.label', { unit: state.unit });
+        bilirubinInput.placeholder = translate('ui.bilirubinPlaceholder');
+    }
+
+    /**
+     * Switches the bilirubin unit: the input keeps its value (converted), its limits follow the
+     * unit, and everything is rendered again in the new unit.
+     * @param {string} unit One of `UNITS`.
+     */
+    function applyUnit(unit) {
+        state.unit = unit;
+        Object.assign(bilirubinInputOptions, INPUT_LIMITS[unit]);
+        bilirubinUnitControl.querySelector('.active')?.classList.remove('active');
+        bilirubinUnitControl.querySelector(`[data-unit="${unit}"]`).classList.add('active');
+        renderBilirubinLabel();
+        if (state.totalBilirubin !== null) {
+            const entry = fromMgPerDl(state.totalBilirubin, unit);
+            state.bilirubinEntry = INPUT_LIMITS[unit].isFloat ? parseFloat(entry.toFixed(1)) : entry;
+            bilirubinInput.value = formatNumber(state.bilirubinEntry);
+        }
+    }
+    bilirubinUnitControl.addEventListener('click', (e) => {
         if (e.target.tagName === 'BUTTON') {
-            gaControl.querySelector('.active')?.classList.remove('active');
+            applyUnit(e.target.dataset.unit);
+            savePreference('bilirubinUnit', state.unit);
+            recalculateAndRender();
+        }
+    });
+    bilirubinSourceControl.addEventListener('click', (e) => {
+        if (e.target.tagName === 'BUTTON') {
+            bilirubinSourceControl.querySelector('.active')?.classList.remove('active');
             e.target.classList.add('active');
+            state.bilirubinSource = e.target.dataset.source;
             recalculateAndRender();
         }
     });
-    useLabTimeCheckbox.addEventListener('change', () => {
-        state.useLabTime = useLabTimeCheckbox.checked;
+    addMeasurementButton.addEventListener('click', () => {
+        if (state.totalBilirubin === null || state.evaluationTime === null) return;
+        state.measurements.push(createMeasurement({
+            time: state.evaluationTime,
+            value: state.totalBilirubin,
+            source: state.bilirubinSource
+        }));
+        renderMeasurementLog();
+        renderNomogram();
+        if (state.patientId !== null) saveCurrentPatient();
+    });
+    measurementLog.addEventListener('click', (e) => {
+        const button = e.target.closest('.remove-measurement');
+        if (!button) return;
+        state.measurements = state.measurements.filter(measurement => measurement.id !== button.dataset.id);
+        renderMeasurementLog();
+        renderNomogram();
+        if (state.patientId !== null) saveCurrentPatient();
+    });
+    nomogramRangeControl.addEventListener('click', (e) => {
+        if (e.target.tagName === 'BUTTON') {
+            nomogramRangeControl.querySelector('.active')?.classList.remove('active');
+            e.target.classList.add('active');
+            state.nomogramMaxHours = parseInt(e.target.dataset.hours, 10);
+            renderNomogram();
+        }
+    });
+    phototherapyCheckbox.addEventListener('change', () => {
+        state.phototherapyActive = phototherapyCheckbox.checked;
+        phototherapySection.classList.toggle('visible', state.phototherapyActive);
+        recalculateAndRender();
+    });
+    guidelineSelect.addEventListener('change', () => {
+        state.guidelineId = guidelineSelect.value || null;
+        recalculateAndRender();
+    });
+    riskFactorList.addEventListener('change', recalculateAndRender);
+    kernicterusSignsCheckbox.addEventListener('change', recalculateAndRender);
+    setupNumericInput(gaWeeksInput, 'gestationalAge', { min: 22, max: 42, startValue: 38, labelKey: 'ui.gaWeeks' });
+    setupNumericInput(gaDaysInput, 'gestationalAgeDays', { max: 6, labelKey: 'ui.gaDays' });
+    setupNumericInput(birthHourInput, 'birthHour', { max: 23, labelKey: 'ui.birthHour' });
+    setupNumericInput(birthMinuteInput, 'birthMinute', { max: 59, labelKey: 'ui.birthMinute' });
+    setupNumericInput(labHourInput, 'labHour', { max: 23, labelKey: 'ui.labHour' });
+    setupNumericInput(labMinuteInput, 'labMinute', { max: 59, labelKey: 'ui.labMinute' });
+    setupNumericInput(phototherapyHourInput, 'phototherapyStartHour', { max: 23, labelKey: 'ui.phototherapyHour' });
+    setupNumericInput(phototherapyMinuteInput, 'phototherapyStartMinute', { max: 59, labelKey: 'ui.phototherapyMinute' });
+    setupNumericInput(albuminInput, 'albumin', { isFloat: true, step: 0.1, min: 1, max: 6, startValue: 3.5, labelKey: 'ui.albumin' });
+    const bilirubinInputOptions = { ...INPUT_LIMITS['mg/dL'] };
+    setupNumericInput(bilirubinInput, 'bilirubinEntry', bilirubinInputOptions);
+
+    // --- Patients ---
+    /** The stored patient records, as last loaded from the device. */
+    let wardRecords = [];
+    /** Whether the patient store could not be opened (e.g. storage disabled in a private window). */
+    let patientStorageFailed = false;
+
+    /**
+     * Builds the record of the current patient from the state.
+     * @returns {object|null} The record, or null while the label, birth time or gestational age is missing.
+     */
+    function buildPatientRecord() {
+        if (state.patientLabel.trim() === '' || state.birthTime === null || state.gestationalAge === null) {
+            return null;
+        }
+        const course = getPhototherapyCourse();
+        return createPatientRecord({
+            id: state.patientId,
+            label: state.patientLabel,
+            birthTime: state.birthTime,
+            gestationalAge: state.gestationalAge,
+            gestationalAgeDays: state.gestationalAgeDays ?? 0,
+            riskFindings: state.riskFindings,
+            albumin: state.albumin,
+            hasKernicterusSigns: state.hasKernicterusSigns,
+            guidelineId: state.guidelineId,
+            phototherapyStartTime: course ? course.startTime : null,
+            measurements: state.measurements
+        });
+    }
+
+    /**
+     * Stores the current patient on this device and refreshes the ward list.
+     * @returns {Promise<void>}
+     */
+    async function saveCurrentPatient() {
+        const record = buildPatientRecord();
+        if (record === null) return;
+        try {
+            await savePatient(record);
+            state.patientId = record.id;
+        } catch (error) {
+            patientStorageFailed = true;
+        }
+        await loadWardList();
+    }
+
+    /**
+     * Loads the stored patients and renders the ward list.
+     * @returns {Promise<void>}
+     */
+    async function loadWardList() {
+        try {
+            wardRecords = await loadPatients();
+            patientStorageFailed = false;
+        } catch (error) {
+            wardRecords = [];
+            patientStorageFailed = true;
+        }
+        renderWardList();
+    }
+
+    /**
+     * Renders the ward list: every stored patient with their current age, latest value and tier,
+     * the most urgent first.
+     */
+    function renderWardList() {
+        if (patientStorageFailed) {
+            wardList.innerHTML = `<div class="recommendation medium-risk">${translate('patients.storageError')}</div>`;
+            return;
+        }
+        if (wardRecords.length === 0) {
+            wardList.innerHTML = `<div class="recommendation-detail">${translate('patients.empty')}</div>`;
+            return;
+        }
+        const now = Date.now();
+        const rows = sortByUrgency(wardRecords).map(({ record, summary }) => {
+            const { latest, tier, severity } = summary;
+            const latestText = latest ? `${formatNumber(toDisplayUnit(latest.value))} ${latest.source}` : '-';
+            const tierText = tier ? `<span class="tier-${severity}">${translate(`tier.${tier}`)}</span>` : '-';
+            return `<tr class="${record.id === state.patientId ? 'current-patient' : ''}"><td>${escapeHtml(record.label)}</td><td>${formatNumber(formatAge(getAgeInHours(record.birthTime, now)))}</td><td>${latestText}</td><td>${tierText}</td><td><button type="button" class="secondary-button open-patient" data-id="${record.id}">${translate('patients.open')}</button></td><td><button type="button" class="remove-measurement remove-patient" data-id="${record.id}" aria-label="${translate('patients.remove')}">&times;</button></td></tr>`;
+        }).join('');
+        wardList.innerHTML = `<table class="measurement-table ward-table"><thead><tr><th>${translate('patients.label')}</th><th>${translate('patients.age')}</th><th>${translate('patients.latest', { unit: state.unit })}</th><th>${translate('patients.tier')}</th><th></th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Enables saving once the patient has a label and a birth time.
+     */
+    function renderPatientControls() {
+        savePatientButton.disabled = buildPatientRecord() === null;
+        // A FHIR bundle identifies the patient by the label, so it cannot be exported without one.
+        fhirExportButton.disabled = state.patientLabel.trim() === '';
+        fhirExportButton.title = fhirExportButton.disabled ? translate('ui.fhirNeedsLabel') : '';
+    }
+
+    /**
+     * Shows the patient fields of the state in the form: label, times, numbers, checkboxes and the bilirubin source.
+     */
+    function renderPatientInputs() {
+        patientLabelInput.value = state.patientLabel;
+        renderNumericInputs();
+        dateFields.forEach(setDateInputs);
+        riskFactorList.querySelectorAll('input[data-factor]').forEach(checkbox => {
+            checkbox.checked = Boolean(state.riskFindings[checkbox.dataset.factor]);
+        });
+        kernicterusSignsCheckbox.checked = state.hasKernicterusSigns;
+        useLabTimeCheckbox.checked = state.useLabTime;
         labTimeSection.classList.toggle('visible', state.useLabTime);
-        ageLabel.textContent = state.useLabTime ? 'سن نوزاد هنگام آزمایش' : 'سن نوزاد';
+        renderAgeLabel();
+        phototherapyCheckbox.checked = state.phototherapyActive;
+        phototherapySection.classList.toggle('visible', state.phototherapyActive);
+        bilirubinSourceControl.querySelector('.active')?.classList.remove('active');
+        bilirubinSourceControl.querySelector(`[data-source="${state.bilirubinSource}"]`).classList.add('active');
+        guidelineSelect.value = state.guidelineId || '';
+    }
+
+    /**
+     * Clears the patient fields of the state: no label, no findings, no measurements, a TSB value,
+     * the assessment at the current time rather than a custom lab time, and no phototherapy, with
+     * its start time reset to now.
+     */
+    function resetPatientState() {
+        Object.assign(state, {
+            patientId: null,
+            patientLabel: '',
+            bilirubinEntry: null,
+            totalBilirubin: null,
+            bilirubinSource: 'TSB',
+            gestationalAge: 38,
+            gestationalAgeDays: 0,
+            albumin: null,
+            riskFindings: { isoimmuneHemolyticDisease: false, g6pdDeficiency: false, sepsis: false, clinicalInstability: false },
+            hasKernicterusSigns: false,
+            guidelineId: null,
+            measurements: [],
+            useLabTime: false,
+            phototherapyActive: false
+        });
+        setStateTime('phototherapyStart', Date.now());
+    }
+
+    /**
+     * Opens a stored patient: their birth time, gestational age, findings, phototherapy start and
+     * measurement history replace the form, and the infant is assessed at the current time.
+     * @param {object} record A stored patient record.
+     */
+    function openPatient(record) {
+        resetPatientState();
+        setStateTime('birth', record.birthTime);
+        setStateTime('lab', Date.now());
+        Object.assign(state, {
+            patientId: record.id,
+            patientLabel: record.label,
+            gestationalAge: record.gestationalAge,
+            gestationalAgeDays: record.gestationalAgeDays,
+            albumin: record.albumin,
+            riskFindings: { ...state.riskFindings, ...record.riskFindings },
+            hasKernicterusSigns: record.hasKernicterusSigns,
+            guidelineId: record.guidelineId,
+            measurements: record.measurements.map(measurement => ({ ...measurement })),
+            phototherapyActive: record.phototherapyStartTime !== null
+        });
+        if (record.phototherapyStartTime !== null) setStateTime('phototherapyStart', record.phototherapyStartTime);
+        renderPatientInputs();
         recalculateAndRender();
+    }
+
+    patientLabelInput.addEventListener('input', () => {
+        state.patientLabel = patientLabelInput.value;
+        renderPatientControls();
     });
-    dobPicker.addEventListener('change', (e) => {
-        const [y, m, d] = e.detail.gregorian;
-        state.birthDate = new Date(y, m - 1, d);
+    savePatientButton.addEventListener('click', saveCurrentPatient);
+    newPatientButton.addEventListener('click', () => {
+        resetPatientState();
+        setTimesToNow();
+        renderPatientInputs();
         recalculateAndRender();
     });
-    labDatePicker.addEventListener('change', (e) => {
-        const [y, m, d] = e.detail.gregorian;
-        state.labDate = new Date(y, m - 1, d);
+    wardList.addEventListener('click', async (e) => {
+        const openButton = e.target.closest('.open-patient');
+        if (openButton) {
+            const record = wardRecords.find(candidate => candidate.id === openButton.dataset.id);
+            if (record) openPatient(record);
+            return;
+        }
+        const removeButton = e.target.closest('.remove-patient');
+        if (!removeButton) return;
+        const record = wardRecords.find(candidate => candidate.id === removeButton.dataset.id);
+        if (!record || !confirm(translate('patients.confirmRemove', { label: record.label }))) return;
+        try {
+            await deletePatient(record.id);
+        } catch (error) {
+            patientStorageFailed = true;
+        }
+        if (state.patientId === record.id) state.patientId = null;
+        await loadWardList();
+    });
+
+    // --- Language ---
+    /**
+     * Shows a date in both inputs of a date field: the Jalali picker used in Persian and the
+     * Gregorian date input used in English.
+     * @param {{stateKey: string, picker: HTMLElement, input: HTMLInputElement}} field The date field.
+     */
+    function setDateInputs(field) {
+        const date = state[field.stateKey];
+        if (!date) return;
+        const pad = (n) => String(n).padStart(2, '0');
+        field.input.value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        if (!customElements.get('persian-datepicker-element')) return;
+        const options = { year: 'numeric', month: 'numeric', day: 'numeric', calendar: 'persian' };
+        const parts = new Intl.DateTimeFormat('fa-IR-u-nu-latn', options).format(date).split('/');
+        if (parts.length === 3) {
+            const [year, month, day] = parts.map(p => parseInt(p, 10));
+            field.picker.setValue(year, month, day);
+        }
+    }
+
+    /**
+     * Shows the state of every numeric input in its field, with the digits of the current locale.
+     */
+    function renderNumericInputs() {
+        for (const { input, stateKey } of numericInputs) {
+            input.value = state[stateKey] === null ? '' : formatNumber(state[stateKey]);
+        }
+    }
+
+    /**
+     * Shows the age label for the current mode (current age or age at the lab sample).
+     */
+    function renderAgeLabel() {
+        ageLabel.textContent = translate(state.useLabTime ? 'ui.ageAtLab' : 'ui.age');
+    }
+
+    /**
+     * Switches the page to a locale: text direction, every static text marked with `data-i18n`,
+     * the digits of the inputs, and the date inputs (Jalali picker in Persian, Gregorian input in English).
+     * The caller renders the results again.
+     * @param {string} locale One of the keys of `LOCALES`.
+     */
+    function applyLocale(locale) {
+        state.locale = locale;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = LOCALES[locale].dir;
+        document.title = translate('ui.pageTitle');
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = translate(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = translate(element.dataset.i18nPlaceholder);
+        });
+        languageControl.querySelector('.active')?.classList.remove('active');
+        languageControl.querySelector(`[data-locale="${locale}"]`).classList.add('active');
+
+        gaWeeksInput.placeholder = formatNumber(38);
+        gaDaysInput.placeholder = formatNumber(0);
+        renderNumericInputs();
+        for (const field of dateFields) {
+            field.picker.hidden = locale !== 'fa';
+            field.input.hidden = locale === 'fa';
+            setDateInputs(field);
+        }
+        renderAgeLabel();
+        renderBilirubinLabel();
+        renderGuidelineOptions();
+        renderWardList();
+    }
+    languageControl.addEventListener('click', (e) => {
+        if (e.target.tagName === 'BUTTON') {
+            applyLocale(e.target.dataset.locale);
+            savePreference('locale', state.locale);
+            recalculateAndRender();
+        }
+    });
+
+    // --- Guideline Datasets ---
+    /** The guideline files that could not be loaded or failed validation, with the reason. */
+    const guidelineLoadErrors = [];
+
+    /**
+     * Loads the guideline datasets listed in `guidelines/index.json` and registers them with the
+     * engine. A file that cannot be fetched or fails validation is skipped and its error is shown,
+     * so a broken local protocol never produces a recommendation. The registered datasets are
+     * then offered in the guideline selector.
+     * @returns {Promise<void>} Resolves once every file has been tried.
+     */
+    async function loadGuidelines() {
+        let files = [];
+        try {
+            const response = await fetch('guidelines/index.json');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            files = await response.json();
+        } catch (error) {
+            guidelineLoadErrors.push({ file: 'index.json', reason: error.message });
+        }
+        for (const file of files) {
+            try {
+                const response = await fetch(`guidelines/${file}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                registerGuideline(await response.json());
+            } catch (error) {
+                guidelineLoadErrors.push({ file, reason: error.message });
+            }
+        }
+
+        renderGuidelineOptions();
+    }
+
+    /**
+     * Fills the guideline selector with the registered datasets and shows the files that failed to load.
+     */
+    function renderGuidelineOptions() {
+        guidelineErrors.innerHTML = guidelineLoadErrors.map(error => `<div class="recommendation high-risk">${translate('guideline.loadError', error)}</div>`).join('');
+        guidelineSelect.innerHTML = `<option value="">${translate('guideline.automatic')}</option>` +
+            getGuidelines().map(({ id, name, version }) => `<option value="${id}">${name} (${version})</option>`).join('');
+        guidelineSelect.value = state.guidelineId || '';
+    }
+
+    // --- Summary and Export ---
+    /**
+     * Collects the current assessment into a report for printing and export.
+     * @returns {object|null} The report, or null until there is a result for an entered bilirubin value.
+     */
+    function buildCurrentReport() {
+        if (state.result === null || state.result.status !== 'ok' || state.totalBilirubin === null || state.birthTime === null) {
+            return null;
+        }
+        return buildReport({
+            patient: { label: state.patientLabel.trim(), id: state.patientId },
+            birthTime: state.birthTime,
+            sampleTime: state.evaluationTime,
+            ageInHours: state.ageInHours,
+            gestationalAge: state.gestationalAge,
+            gestationalAgeDays: state.gestationalAgeDays ?? 0,
+            riskFactors: state.riskFactors,
+            bilirubin: state.totalBilirubin,
+            source: state.bilirubinSource,
+            result: state.result
+        });
+    }
+
+    /**
+     * Renders the printable clinical summary of a report, in the language and unit of the page.
+     * @param {object} report A report from `buildReport`.
+     */
+    function renderPrintSummary(report) {
+        const { result } = state;
+        const thresholds = report.thresholds || {};
+        const withUnit = (value) => value === undefined ? '-' : `${formatNumber(toDisplayUnit(value))} ${state.unit}`;
+        const riskFactors = report.riskFactors.length > 0 ? report.riskFactors.map(factor => translate(`riskFactor.${factor}`)).join(LIST_SEPARATORS[state.locale]) : translate('riskFactors.none');
+        const rows = [
+            ['report.patient', escapeHtml(report.patient.label) || '-'],
+            ['report.birthTime', formatDateTime(Date.parse(report.birthTime))],
+            ['report.sampleTime', formatDateTime(Date.parse(report.sampleTime))],
+            ['report.age', formatNumber(formatAge(report.ageInHours))],
+            ['report.gestationalAge', translate('report.gestationalAgeValue', report.gestationalAge)],
+            ['riskFactors.title', riskFactors],
+            ['report.bilirubin', `${withUnit(report.bilirubin.value)} (${report.bilirubin.source})`],
+            ['results.phototherapyThreshold', withUnit(thresholds.phototherapy)],
+            ...(thresholds.escalation === null ? [] : [['results.escalationThreshold', withUnit(thresholds.escalation)]]),
+            ['results.exchangeThreshold', withUnit(thresholds.exchange)],
+            ['report.tier', `${translate(`tier.${report.tier}`)}: ${translate(result.messages.title, withDisplayUnit(result.messages.params, BILIRUBIN_PARAMS))}`],
+            ['report.guideline', report.guideline ? `${report.guideline.name} (${report.guideline.version})` : '-'],
+            ['report.generatedAt', formatDateTime(Date.parse(report.generatedAt))]
+        ];
+        printSummary.innerHTML = `<h1 class="results-title">${translate('report.title')}</h1><table>${rows.map(([key, value]) => `<tr><th>${translate(key)}</th><td>${value}</td></tr>`).join('')}</table><p class="disclaimer-footer">${translate('ui.disclaimer')}</p>`;
+    }
+
+    /**
+     * Offers a text file for download.
+     * @param {string} fileName The suggested file name.
+     * @param {string} type The MIME type.
+     * @param {string} content The file content.
+     */
+    function downloadFile(fileName, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    printButton.addEventListener('click', () => {
+        const report = buildCurrentReport();
+        if (report === null) return;
+        renderPrintSummary(report);
+        window.print();
+    });
+    exportControl.addEventListener('click', (e) => {
+        const report = buildCurrentReport();
+        if (e.target.tagName !== 'BUTTON' || report === null) return;
+        const baseName = `bilirubin-${report.sampleTime.slice(0, 16).replace(/[:T]/g, '-')}`;
+        const exports = {
+            json: () => downloadFile(`${baseName}.json`, 'application/json', JSON.stringify(report, null, 2)),
+            csv: () => downloadFile(`${baseName}.csv`, 'text/csv', toCsv(report)),
+            fhir: () => downloadFile(`${baseName}.fhir.json`, 'application/fhir+json', JSON.stringify(toFhirBundle(report), null, 2))
+        };
+        exports[e.target.dataset.format]();
+    });
+
+    // --- Shareable Links ---
+    /**
+     * Restores a calculation from a shared link. The sample time of the link becomes the lab time,
+     * so the result is the same as on the device that made the link. The hash is then removed from
+     * the address bar, so a later reload starts from the current time instead of the old calculation.
+     * @param {object} shared The inputs returned by `decodeShareState`.
+     */
+    function applySharedState(shared) {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        resetPatientState();
+        setStateTime('birth', shared.birthTime);
+        setStateTime('lab', shared.sampleTime);
+        if (shared.phototherapyStartTime !== null) setStateTime('phototherapyStart', shared.phototherapyStartTime);
+        Object.assign(state, {
+            useLabTime: true,
+            gestationalAge: shared.gestationalAge,
+            gestationalAgeDays: shared.gestationalAgeDays,
+            albumin: shared.albumin,
+            riskFindings: shared.riskFindings,
+            hasKernicterusSigns: shared.hasKernicterusSigns,
+            guidelineId: shared.guidelineId,
+            phototherapyActive: shared.phototherapyStartTime !== null,
+            bilirubinSource: shared.source
+        });
+        applyUnit(shared.unit);
+        state.bilirubinEntry = shared.bilirubin;
+
+        renderPatientInputs();
         recalculateAndRender();
+    }
+
+    copyLinkButton.addEventListener('click', async () => {
+        if (state.birthTime === null || state.gestationalAge === null) return;
+        const course = getPhototherapyCourse();
+        const hash = encodeShareState({
+            birthTime: state.birthTime,
+            sampleTime: state.evaluationTime,
+            gestationalAge: state.gestationalAge,
+            gestationalAgeDays: state.gestationalAgeDays ?? 0,
+            bilirubin: state.bilirubinEntry,
+            unit: state.unit,
+            source: state.bilirubinSource,
+            albumin: state.albumin,
+            riskFindings: state.riskFindings,
+            hasKernicterusSigns: state.hasKernicterusSigns,
+            guidelineId: state.guidelineId,
+            phototherapyStartTime: course ? course.startTime : null
+        });
+        // The link is only copied: the address bar keeps no hash, which a reload would restore.
+        const link = new URL(hash, window.location.href).href;
+        try {
+            await navigator.clipboard.writeText(link);
+            copyLinkButton.textContent = translate('share.copied');
+            setTimeout(() => { copyLinkButton.textContent = translate('ui.copyLink'); }, 2000);
+        } catch (error) {
+            window.prompt(translate('ui.copyLink'), link);
+        }
+    });
+    window.addEventListener('hashchange', () => {
+        const shared = decodeShareState(window.location.hash);
+        if (shared) applySharedState(shared);
+    });
+
+    // --- Offline Support ---
+    /** How often an open page checks for a new version, since ward devices stay open for whole shifts. */
+    const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+    /** The downloaded new version, waiting for the user to accept the update. */
+    let waitingWorker = null;
+
+    /**
+     * Registers the service worker (`sw.js`) that keeps the page working offline, and shows the
+     * update prompt once a new version has been downloaded. The new version only takes over, and
+     * the page only reloads, when the user accepts.
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        const showUpdate = (worker) => {
+            waitingWorker = worker;
+            updateBanner.hidden = false;
+        };
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) showUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update.
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdate(worker);
+                });
+            });
+            setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL_MS);
+        }).catch(() => {
+            // Without the service worker the page still works while online.
+        });
+    }
+    updateButton.addEventListener('click', () => {
+        if (waitingWorker === null) return;
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
     });
-    riskFactorCheckbox.addEventListener('change', recalculateAndRender);
-    kernicterusSignsCheckbox.addEventListener('change', recalculateAndRender);
-    setupNumericInput(birthHourInput, 'birthHour', { max: 23 });
-    setupNumericInput(labHourInput, 'labHour', { max: 23 });
-    setupNumericInput(bilirubinInput, 'totalBilirubin', { isFloat: true, step: 0.1, min: 1, max: 28, startValue: 8 });
 
     // --- Initializer ---
     /**
      * Initializes the calculator application when the page loads.
-     * This function sets up the default state, localizes numbers to Persian,
-     * sets the default gestational age, and initializes the date pickers
-     * and time inputs to the current date and time. It then triggers the first calculation.
+     * This function sets up the default state, sets the default gestational age,
+     * and initializes the date inputs and time inputs to the current date and time.
+     * It then triggers the first calculation.
      */
     function initialize() {
-        gaControl.querySelectorAll('button').forEach(button => {
-            button.textContent = toPersianNum(button.textContent);
-        });
-        const activeGA = gaControl.querySelector(`[data-ga='${state.gestationalAge}']`);
-        if (activeGA) {
-            activeGA.classList.add('active');
-        } else {
-            const firstButton = gaControl.querySelector('button');
-            if (firstButton) {
-                firstButton.classList.add('active');
-                state.gestationalAge = parseInt(firstButton.dataset.ga, 10);
-            }
-        }
+        applyUnit(loadPreference('bilirubinUnit', UNITS, 'mg/dL'));
+        gaWeeksInput.value = formatNumber(state.gestationalAge);
+        gaDaysInput.value = formatNumber(state.gestationalAgeDays);
         // bilirubinInput.value is now handled by the placeholder
         customElements.whenDefined('persian-datepicker-element').then(() => {
-            const today = new Date();
-            const options = { year: 'numeric', month: 'numeric', day: 'numeric', calendar: 'persian' };
-            const persianDateString = new Intl.DateTimeFormat('fa-IR-u-nu-latn', options).format(today);
-            const parts = persianDateString.split('/');
-            if (parts.length === 3) {
-                const [year, month, day] = parts.map(p => parseInt(p, 10));
-                dobPicker.setValue(year, month, day);
-                state.birthDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-                labDatePicker.setValue(year, month, day);
-                state.labDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+            // A shared link reproduces its calculation instead of starting at the current time.
+            const shared = decodeShareState(window.location.hash);
+            if (shared) {
+                applySharedState(shared);
+                return;
             }
-            const currentHour = today.getHours();
-            state.birthHour = currentHour;
-            birthHourInput.value = toPersianNum(currentHour);
-            state.labHour = currentHour;
-            labHourInput.value = toPersianNum(currentHour);
+            setTimesToNow();
             recalculateAndRender();
         });
+        loadWardList();
+    }
+
+    /**
+     * Sets every date and time input (birth, lab sample and phototherapy start) to the current time.
+     */
+    function setTimesToNow() {
+        const now = Date.now();
+        for (const prefix of ['birth', 'lab', 'phototherapyStart']) {
+            setStateTime(prefix, now);
+        }
+        dateFields.forEach(setDateInputs);
+        renderNumericInputs();
+    }
+
+    /**
+     * Splits a timestamp into the local date, hour and minute fields of the state.
+     * @param {'birth'|'lab'|'phototherapyStart'} prefix The fields to set, e.g. `birthDate`, `birthHour` and `birthMinute`.
+     * @param {number} timestamp The time in milliseconds.
+     */
+    function setStateTime(prefix, timestamp) {
+        const time = new Date(timestamp);
+        state[`${prefix}Date`] = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+        state[`${prefix}Hour`] = time.getHours();
+        state[`${prefix}Minute`] = time.getMinutes();
     }
-    initialize();
+    applyLocale(loadPreference('locale', Object.keys(LOCALES), 'fa'));
+    loadGuidelines().then(initialize);
+    registerServiceWorker();
 });
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * @file measurements.js
+ * @description Serial bilirubin measurements for a single patient.
+ * Every timestamped TSB/TcB entry is evaluated with the guideline engine, and the rate of rise
+ * between consecutive values is compared against the AAP 2022 cut-offs that suggest hemolysis.
+ */
+import { evaluateGuideline } from './guideline.js';
+import { MS_PER_HOUR, getAgeInHours } from './time.js';
+
+/** The sources a bilirubin value can come from. */
+export const SOURCES = ['TSB', 'TcB'];
+
+/**
+ * Rates of rise (mg/dL per hour) at or above which the AAP 2022 guideline calls for attention:
+ * 0.3 in the first 24 hours after birth and 0.2 afterwards.
+ */
+export const RAPID_RISE_THRESHOLDS = { firstDay: 0.3, afterFirstDay: 0.2 };
+
+/**
+ * Creates a measurement entry.
+ * @param {object} fields - The measurement fields.
+ * @param {number} fields.time - The sample time as a millisecond timestamp.
+ * @param {number} fields.value - The bilirubin value in mg/dL.
+ * @param {string} [fields.source='TSB'] - One of `SOURCES`.
+ * @returns {{id: string, time: number, value: number, source: string}} The new entry.
+ */
+export function createMeasurement({ time, value, source = 'TSB' }) {
+    if (!SOURCES.includes(source)) {
+        throw new Error(`Unknown bilirubin source: ${source}`);
+    }
+    return { id: `${time}-${Math.random().toString(36).slice(2, 8)}`, time, value, source };
+}
+
+/**
+ * Calculates the rate of rise between two measurements.
+ * @param {{time: number, value: number}} previous - The earlier measurement.
+ * @param {{time: number, value: number}} current - The later measurement.
+ * @returns {number|null} The rate in mg/dL per hour (negative when falling), or null if both were taken at the same time.
+ */
+export function getRateOfRise(previous, current) {
+    const hours = (current.time - previous.time) / MS_PER_HOUR;
+    if (hours <= 0) return null;
+    return parseFloat(((current.value - previous.value) / hours).toFixed(3));
+}
+
+/**
+ * Returns the rapid-rise cut-off that applies to a measurement taken at the given age.
+ * @param {number} ageInHours - The age at the later of the two measurements.
+ * @returns {number} The cut-off in mg/dL per hour.
+ */
+export function getRapidRiseThreshold(ageInHours) {
+    return ageInHours <= 24 ? RAPID_RISE_THRESHOLDS.firstDay : RAPID_RISE_THRESHOLDS.afterFirstDay;
+}
+
+/**
+ * Evaluates every measurement of a patient and the rate of rise between consecutive values.
+ *
+ * @param {Array<{id: string, time: number, value: number, source: string}>} measurements - The entries, in any order.
+ * @param {object} patient - The patient context shared by all entries.
+ * @param {number} patient.birthTime - The birth time as a millisecond timestamp.
+ * @param {number} patient.gestationalAge - The gestational age in completed weeks.
+ * @param {boolean} patient.hasRiskFactors - Whether neurotoxicity risk factors are present.
+ * @param {string|null} [patient.guidelineId=null] - The preferred guideline dataset.
+ * @returns {Array<{
+ *   id: string, time: number, value: number, source: string,
+ *   ageInHours: number,
+ *   result: object,
+ *   rateOfRise: number|null,
+ *   rapidRiseThreshold: number|null,
+ *   isRapidRise: boolean
+ * }>} The analyzed entries sorted by time. `result` is the `evaluateGuideline` result for the entry.
+ */
+export function analyzeMeasurements(measurements, { birthTime, gestationalAge, hasRiskFactors, guidelineId = null }) {
+    const sorted = [...measurements].sort((a, b) => a.time - b.time);
+    return sorted.map((measurement, index) => {
+        const ageInHours = getAgeInHours(birthTime, measurement.time);
+        const result = evaluateGuideline({ gestationalAge, ageInHours, bilirubin: measurement.value, source: measurement.source, hasRiskFactors, guidelineId });
+        const rateOfRise = index > 0 ? getRateOfRise(sorted[index - 1], measurement) : null;
+        const rapidRiseThreshold = rateOfRise === null ? null : getRapidRiseThreshold(ageInHours);
+        return {
+            ...measurement,
+            ageInHours,
+            result,
+            rateOfRise,
+            rapidRiseThreshold,
+            isRapidRise: rateOfRise !== null && rateOfRise >= rapidRiseThreshold
+        };
+    });
+}
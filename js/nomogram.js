@@ -0,0 +1,136 @@
+/**
+ * @file nomogram.js
+ * @description Builds the nomogram chart: the phototherapy, escalation and exchange curves of the
+ * selected gestational age and risk group, with the patient's bilirubin values plotted on top.
+ * The chart is returned as an SVG string so it needs no charting library and works offline.
+ */
+import { getCurve, selectGuideline } from './guideline.js';
+
+/** Geometry of the chart in SVG user units. */
+export const CHART = {
+    width: 360,
+    height: 260,
+    padding: { top: 12, right: 12, bottom: 32, left: 36 },
+    maxHours: 336,
+    maxBilirubin: 30
+};
+
+/**
+ * Returns the three curves to draw for a gestational age and risk group.
+ * The escalation curve is the exchange curve lowered by the dataset's `escalationOffset`, and null
+ * for a dataset without one.
+ * @param {number} gestationalAge - The gestational age in completed weeks.
+ * @param {boolean} hasRiskFactors - Whether neurotoxicity risk factors are present.
+ * @param {string|null} [guidelineId=null] - The preferred dataset, see `selectGuideline`.
+ * @returns {{phototherapy: Array<[number, number]>, escalation: Array<[number, number]>|null, exchange: Array<[number, number]>}|null}
+ * The curves, or null when the gestational age has no curves.
+ */
+export function getNomogramSeries(gestationalAge, hasRiskFactors, guidelineId = null) {
+    const phototherapy = getCurve('phototherapy', hasRiskFactors, gestationalAge, guidelineId).points;
+    const exchange = getCurve('exchange', hasRiskFactors, gestationalAge, guidelineId).points;
+    if (phototherapy === null || exchange === null) return null;
+    const { escalationOffset } = selectGuideline(gestationalAge, guidelineId);
+    return {
+        phototherapy,
+        escalation: escalationOffset === undefined ? null : exchange.map(([hours, bilirubin]) => [hours, parseFloat((bilirubin - escalationOffset).toFixed(2))]),
+        exchange
+    };
+}
+
+/**
+ * Creates the functions that map hours and bilirubin values onto SVG coordinates.
+ * @param {number} maxHours - The age at the right edge of the chart.
+ * @param {number} maxBilirubin - The bilirubin value at the top of the chart.
+ * @returns {{x: function(number): number, y: function(number): number}} The scales.
+ */
+export function createScales(maxHours, maxBilirubin) {
+    const { width, height, padding } = CHART;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    return {
+        x: (hours) => parseFloat((padding.left + (hours / maxHours) * plotWidth).toFixed(1)),
+        y: (bilirubin) => parseFloat((padding.top + plotHeight - (bilirubin / maxBilirubin) * plotHeight).toFixed(1))
+    };
+}
+
+/**
+ * Escapes text for use inside SVG markup.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+/**
+ * Builds the nomogram as an SVG string.
+ *
+ * @param {object} options - What to draw.
+ * @param {{phototherapy: Array<[number, number]>, escalation: Array<[number, number]>|null, exchange: Array<[number, number]>}} options.series - The curves
+ * from `getNomogramSeries`; a null curve is left out, with its legend entry.
+ * @param {Array<{ageInHours: number, value: number, source: string, label?: string}>} [options.measurements=[]] - The patient's values, in time order.
+ * @param {number} [options.maxHours=CHART.maxHours] - The age at the right edge of the chart.
+ * @param {number} [options.maxBilirubin=CHART.maxBilirubin] - The bilirubin value at the top of the chart; raised to fit higher values.
+ * @param {number} [options.bilirubinStep=5] - The distance between the horizontal grid lines.
+ * @param {object} [options.labels={}] - Text for the legend and axes.
+ * @param {string} [options.labels.phototherapy] - Legend text of the phototherapy curve.
+ * @param {string} [options.labels.escalation] - Legend text of the escalation curve.
+ * @param {string} [options.labels.exchange] - Legend text of the exchange curve.
+ * @param {string} [options.labels.xAxis] - Title of the age axis.
+ * @param {function(number): string} [options.formatNumber=String] - Formats the tick labels.
+ * @returns {string} The SVG markup. The series and values may be in any unit, as long as
+ * `maxBilirubin` and `bilirubinStep` are given in the same unit.
+ */
+export function buildNomogramSvg({ series, measurements = [], maxHours = CHART.maxHours, maxBilirubin: chartMax = CHART.maxBilirubin, bilirubinStep = 5, labels = {}, formatNumber = String }) {
+    const { width, height, padding } = CHART;
+    const highestValue = Math.max(0, ...measurements.map(m => m.value));
+    const maxBilirubin = highestValue > chartMax ? Math.ceil(highestValue / bilirubinStep) * bilirubinStep : chartMax;
+    const { x, y } = createScales(maxHours, maxBilirubin);
+    const plotBottom = height - padding.bottom;
+    const plotRight = width - padding.right;
+
+    const parts = [];
+    parts.push(`<defs><clipPath id="nomogram-plot"><rect x="${padding.left}" y="${padding.top}" width="${plotRight - padding.left}" height="${plotBottom - padding.top}"/></clipPath></defs>`);
+
+    // Grid and axes
+    const hourStep = maxHours <= 96 ? 12 : 48;
+    for (let hours = 0; hours <= maxHours; hours += hourStep) {
+        parts.push(`<line class="nomogram-grid" x1="${x(hours)}" y1="${padding.top}" x2="${x(hours)}" y2="${plotBottom}"/>`);
+        parts.push(`<text class="nomogram-tick" x="${x(hours)}" y="${plotBottom + 14}" text-anchor="middle">${escapeXml(formatNumber(hours))}</text>`);
+    }
+    for (let bilirubin = 0; bilirubin <= maxBilirubin; bilirubin += bilirubinStep) {
+        parts.push(`<line class="nomogram-grid" x1="${padding.left}" y1="${y(bilirubin)}" x2="${plotRight}" y2="${y(bilirubin)}"/>`);
+        parts.push(`<text class="nomogram-tick" x="${padding.left - 6}" y="${y(bilirubin) + 4}" text-anchor="end">${escapeXml(formatNumber(bilirubin))}</text>`);
+    }
+    if (labels.xAxis) {
+        parts.push(`<text class="nomogram-axis-title" x="${(padding.left + plotRight) / 2}" y="${height - 4}" text-anchor="middle">${escapeXml(labels.xAxis)}</text>`);
+    }
+
+    // Threshold curves
+    const names = ['phototherapy', 'escalation', 'exchange'].filter(name => series[name] !== null);
+    const curves = [];
+    for (const name of names) {
+        const path = series[name].map(([hours, bilirubin], i) => `${i === 0 ? 'M' : 'L'}${x(hours)},${y(bilirubin)}`).join(' ');
+        const title = labels[name] ? `<title>${escapeXml(labels[name])}</title>` : '';
+        curves.push(`<path class="nomogram-curve nomogram-${name}" d="${path}">${title}</path>`);
+    }
+    parts.push(`<g clip-path="url(#nomogram-plot)">${curves.join('')}</g>`);
+
+    // Patient trend and points (TcB values are drawn hollow)
+    const visible = measurements.filter(m => m.ageInHours >= 0 && m.ageInHours <= maxHours);
+    if (visible.length > 1) {
+        const trend = visible.map(m => `${x(m.ageInHours)},${y(m.value)}`).join(' ');
+        parts.push(`<polyline class="nomogram-trend" points="${trend}"/>`);
+    }
+    for (const m of visible) {
+        const title = m.label ? `<title>${escapeXml(m.label)}</title>` : '';
+        parts.push(`<circle class="nomogram-point nomogram-point-${m.source.toLowerCase()}" cx="${x(m.ageInHours)}" cy="${y(m.value)}" r="4">${title}</circle>`);
+    }
+
+    // Legend
+    const legend = names.filter(name => labels[name]).map((name, i) => {
+        const legendY = padding.top + 10 + i * 14;
+        return `<line class="nomogram-curve nomogram-${name}" x1="${padding.left + 8}" y1="${legendY}" x2="${padding.left + 24}" y2="${legendY}"/><text class="nomogram-legend" x="${padding.left + 28}" y="${legendY + 4}">${escapeXml(labels[name])}</text>`;
+    });
+    parts.push(...legend);
+
+    return `<svg class="nomogram" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" direction="ltr" role="img">${parts.join('')}</svg>`;
+}
@@ -0,0 +1,78 @@
+/**
+ * @file patient-store.js
+ * @description Keeps patient records in the browser's IndexedDB, so they survive a reload and
+ * are available offline. Nothing leaves the device.
+ */
+
+const DATABASE_NAME = 'bilicalc';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'patients';
+
+/** The open database, shared by every call. */
+let databasePromise = null;
+
+/**
+ * Opens the database, creating the patient store on first use.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase() {
+    if (databasePromise === null) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs one request against the patient store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Makes the request.
+ * @returns {Promise<*>} The result of the request, once its transaction has completed.
+ */
+async function withStore(mode, operation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Loads every stored patient record.
+ * @returns {Promise<object[]>} The records, in no particular order.
+ */
+export function loadPatients() {
+    return withStore('readonly', store => store.getAll());
+}
+
+/**
+ * Stores a patient record, replacing the previous version with the same id.
+ * @param {object} record - A record from `createPatientRecord`.
+ * @returns {Promise<void>}
+ */
+export async function savePatient(record) {
+    await withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Removes a patient record.
+ * @param {string} id - The id of the record.
+ * @returns {Promise<void>}
+ */
+export async function deletePatient(id) {
+    await withStore('readwrite', store => store.delete(id));
+}
@@ -0,0 +1,118 @@
+/**
+ * @file patients.js
+ * @description Patient records for the ward list. A record holds everything needed to assess the
+ * infant again on a later shift: the birth time, gestational age, risk findings and the
+ * measurement history. Records are plain objects so they can be stored as they are in
+ * IndexedDB (see `patient-store.js`); the ward list orders them by the tier of their latest value.
+ */
+import { TIERS } from './guideline.js';
+import { analyzeMeasurements } from './measurements.js';
+import { getRiskFactors, hasRiskFactorsOtherThanGestationalAge } from './risk-factors.js';
+
+/** The tiers from the most to the least urgent. Patients without a tier come after all of them. */
+export const TIER_URGENCY = [
+    TIERS.KERNICTERUS,
+    TIERS.EXCHANGE,
+    TIERS.ESCALATION,
+    TIERS.ABOVE_THRESHOLD,
+    TIERS.PHOTOTHERAPY,
+    TIERS.CONFIRM_TSB,
+    TIERS.NEAR_THRESHOLD,
+    TIERS.DOUBLE_PHOTOTHERAPY,
+    TIERS.SINGLE_PHOTOTHERAPY,
+    TIERS.FOLLOW_UP
+];
+
+/**
+ * Creates a patient record, or the next version of an existing one when `id` is given.
+ *
+ * @param {object} fields - The patient fields.
+ * @param {string} [fields.id] - The id of the record being updated; a new id is made when omitted.
+ * @param {string} fields.label - The name or bed of the patient.
+ * @param {number} fields.birthTime - The birth time as a millisecond timestamp.
+ * @param {number} fields.gestationalAge - The gestational age in completed weeks.
+ * @param {number} [fields.gestationalAgeDays=0] - The extra days of gestation.
+ * @param {object} [fields.riskFindings={}] - The clinical risk factors ticked in the checklist, by key.
+ * @param {number|null} [fields.albumin=null] - The serum albumin in g/dL.
+ * @param {boolean} [fields.hasKernicterusSigns=false] - Whether signs of kernicterus are present.
+ * @param {string|null} [fields.guidelineId=null] - The preferred guideline dataset.
+ * @param {number|null} [fields.phototherapyStartTime=null] - The start of phototherapy, if in progress.
+ * @param {Array<{id: string, time: number, value: number, source: string}>} [fields.measurements=[]] - The measurement history.
+ * @param {number} [fields.updatedAt=Date.now()] - When the record was saved.
+ * @returns {object} The record.
+ */
+export function createPatientRecord({
+    id,
+    label,
+    birthTime,
+    gestationalAge,
+    gestationalAgeDays = 0,
+    riskFindings = {},
+    albumin = null,
+    hasKernicterusSigns = false,
+    guidelineId = null,
+    phototherapyStartTime = null,
+    measurements = [],
+    updatedAt = Date.now()
+}) {
+    const trimmedLabel = typeof label === 'string' ? label.trim() : '';
+    if (trimmedLabel === '') {
+        throw new Error('A patient record needs a name or bed label');
+    }
+    if (typeof birthTime !== 'number' || typeof gestationalAge !== 'number') {
+        throw new Error('A patient record needs a birth time and gestational age');
+    }
+    return {
+        id: id || `${updatedAt}-${Math.random().toString(36).slice(2, 8)}`,
+        label: trimmedLabel,
+        birthTime,
+        gestationalAge,
+        gestationalAgeDays,
+        riskFindings: { ...riskFindings },
+        albumin,
+        hasKernicterusSigns,
+        guidelineId,
+        phototherapyStartTime,
+        measurements: measurements.map(({ id: entryId, time, value, source }) => ({ id: entryId, time, value, source })),
+        updatedAt
+    };
+}
+
+/**
+ * Evaluates the latest measurement of a patient with the risk factors of the record.
+ * @param {object} record - A record from `createPatientRecord`.
+ * @returns {{tier: string|null, severity: string|null, latest: object|null}} The tier and severity of
+ * the latest value (kernicterus when signs are present), and the latest analyzed entry, or null
+ * without measurements.
+ */
+export function summarizePatient(record) {
+    const riskFactors = getRiskFactors({ gestationalAge: record.gestationalAge, albumin: record.albumin, ...record.riskFindings });
+    const entries = analyzeMeasurements(record.measurements, {
+        birthTime: record.birthTime,
+        gestationalAge: record.gestationalAge,
+        hasRiskFactors: hasRiskFactorsOtherThanGestationalAge(riskFactors),
+        guidelineId: record.guidelineId
+    });
+    const latest = entries.length > 0 ? entries[entries.length - 1] : null;
+    if (record.hasKernicterusSigns) {
+        return { tier: TIERS.KERNICTERUS, severity: 'high', latest };
+    }
+    return { tier: latest?.result.tier ?? null, severity: latest?.result.severity ?? null, latest };
+}
+
+/**
+ * Orders patients for the ward list: the most urgent tier first, then by label. A TcB awaiting
+ * confirmation ranks with the tier its value falls in when that is more urgent.
+ * @param {object[]} records - The stored records.
+ * @returns {Array<{record: object, summary: object}>} The records with their `summarizePatient` summaries.
+ */
+export function sortByUrgency(records) {
+    const urgency = (tier) => {
+        const index = TIER_URGENCY.indexOf(tier);
+        return index === -1 ? TIER_URGENCY.length : index;
+    };
+    const rank = ({ tier, latest }) => Math.min(urgency(tier), urgency(latest?.result.underlyingTier ?? null));
+    return records
+        .map(record => ({ record, summary: summarizePatient(record) }))
+        .sort((a, b) => rank(a.summary) - rank(b.summary) || a.record.label.localeCompare(b.record.label));
+}
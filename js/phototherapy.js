@@ -0,0 +1,102 @@
+/**
+ * @file phototherapy.js
+ * @description Follow-up of a phototherapy course based on the AAP 2022 guideline.
+ * A course records when phototherapy started and the phototherapy threshold at that moment.
+ * Every new bilirubin value is compared against that threshold to decide whether to continue
+ * or stop, and once phototherapy stops, a rebound-bilirubin check is scheduled.
+ */
+import { getJaundiceGuideline } from './guideline.js';
+import { MS_PER_HOUR, getAgeInHours } from './time.js';
+
+/**
+ * How far (mg/dL) the bilirubin must fall below the threshold at initiation before phototherapy
+ * can stop. Infants at higher risk of rebound are treated longer, at the upper end of the 2–4 mg/dL range.
+ */
+export const DISCONTINUATION_MARGIN = { standard: 2, reboundRisk: 4 };
+
+/** Phototherapy started before this age (in hours) raises the risk of rebound. */
+export const EARLY_START_HOURS = 48;
+
+/** Infants below this gestational age (in weeks) are at higher risk of rebound. */
+export const REBOUND_RISK_GESTATIONAL_AGE = 38;
+
+/**
+ * Starts a phototherapy course and records the phototherapy threshold at initiation.
+ *
+ * @param {object} input - The course input.
+ * @param {number} input.startTime - The start of phototherapy as a millisecond timestamp.
+ * @param {number} input.birthTime - The birth time as a millisecond timestamp.
+ * @param {number} input.gestationalAge - The gestational age in completed weeks.
+ * @param {boolean} input.hasRiskFactors - Whether neurotoxicity risk factors are present.
+ * @param {string|null} [input.guidelineId=null] - The preferred guideline dataset.
+ * @returns {{startTime: number, ageAtStartHours: number, thresholdAtStart: number|null, error?: string, params?: object}}
+ * The course. `thresholdAtStart` is null, with an error message key, when there is no curve for the input.
+ */
+export function startPhototherapy({ startTime, birthTime, gestationalAge, hasRiskFactors, guidelineId = null }) {
+    const ageAtStartHours = getAgeInHours(birthTime, startTime);
+    const { threshold, error, params } = getJaundiceGuideline('phototherapy', hasRiskFactors, gestationalAge, ageAtStartHours, 0, guidelineId);
+    const course = { startTime, ageAtStartHours, thresholdAtStart: threshold };
+    return threshold === null ? { ...course, error, params } : course;
+}
+
+/**
+ * Whether the infant is at higher risk of rebound hyperbilirubinemia after phototherapy:
+ * phototherapy started before 48 hours, gestational age below 38 weeks, or neurotoxicity
+ * risk factors such as hemolytic disease.
+ * @param {object} input - The rebound risk input.
+ * @param {number} input.ageAtStartHours - The age at which phototherapy started.
+ * @param {number} input.gestationalAge - The gestational age in completed weeks.
+ * @param {boolean} input.hasRiskFactors - Whether neurotoxicity risk factors are present.
+ * @returns {boolean} True if the risk of rebound is higher.
+ */
+export function hasReboundRisk({ ageAtStartHours, gestationalAge, hasRiskFactors }) {
+    return ageAtStartHours < EARLY_START_HOURS || gestationalAge < REBOUND_RISK_GESTATIONAL_AGE || hasRiskFactors;
+}
+
+/**
+ * Decides whether phototherapy can stop at a new bilirubin value.
+ *
+ * @param {{ageAtStartHours: number, thresholdAtStart: number}} course - The course from `startPhototherapy`.
+ * @param {number} bilirubin - The new TSB in mg/dL.
+ * @param {{gestationalAge: number, hasRiskFactors: boolean}} patient - The patient context.
+ * @returns {{decision: 'continue'|'stop', stopBelow: number, reboundRisk: boolean, messages: {title: string, detail: string, params: object}}}
+ * The decision, the value at or below which phototherapy can stop, and the message keys.
+ */
+export function evaluatePhototherapy(course, bilirubin, { gestationalAge, hasRiskFactors }) {
+    const reboundRisk = hasReboundRisk({ ageAtStartHours: course.ageAtStartHours, gestationalAge, hasRiskFactors });
+    const margin = reboundRisk ? DISCONTINUATION_MARGIN.reboundRisk : DISCONTINUATION_MARGIN.standard;
+    const stopBelow = parseFloat((course.thresholdAtStart - margin).toFixed(2));
+    const decision = bilirubin <= stopBelow ? 'stop' : 'continue';
+    return {
+        decision,
+        stopBelow,
+        reboundRisk,
+        messages: {
+            title: `phototherapy.${decision}.title`,
+            detail: `phototherapy.${decision}.detail`,
+            params: { stopBelow, margin, thresholdAtStart: course.thresholdAtStart }
+        }
+    };
+}
+
+/**
+ * Schedules the rebound-bilirubin check after phototherapy stops. Infants at higher rebound risk
+ * get a TSB 6–12 hours after stopping and another one the next day; the others get a TSB
+ * (or a clinical follow-up) 24–48 hours after stopping.
+ *
+ * @param {number} stopTime - The end of phototherapy as a millisecond timestamp.
+ * @param {boolean} reboundRisk - The result of `hasReboundRisk`.
+ * @returns {{minHours: number, maxHours: number, earliestTime: number, latestTime: number, repeatNextDay: boolean, messageKey: string}}
+ * The window after stopping, as hours and as timestamps, and the message key describing it.
+ */
+export function getReboundCheck(stopTime, reboundRisk) {
+    const [minHours, maxHours] = reboundRisk ? [6, 12] : [24, 48];
+    return {
+        minHours,
+        maxHours,
+        earliestTime: stopTime + minHours * MS_PER_HOUR,
+        latestTime: stopTime + maxHours * MS_PER_HOUR,
+        repeatNextDay: reboundRisk,
+        messageKey: reboundRisk ? 'phototherapy.rebound.highRisk' : 'phototherapy.rebound.standard'
+    };
+}
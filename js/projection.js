@@ -0,0 +1,135 @@
+/**
+ * @file projection.js
+ * @description Projects the bilirubin of an infant below the phototherapy threshold forward in
+ * time, to estimate when it reaches the phototherapy curve and when to take the next sample.
+ * With two or more values the latest measured rate of rise is extended; with a single value an
+ * infant of 35 weeks or more is assumed to follow their population percentile track (Bhutani
+ * nomogram), and a younger infant needs a second value. The projection is an estimate to plan
+ * the next sample, never a replacement for it.
+ */
+import { getCurve, getJaundiceGuideline } from './guideline.js';
+import { getRateOfRise } from './measurements.js';
+import { MS_PER_HOUR } from './time.js';
+
+/**
+ * Approximate hour-specific TSB percentiles (mg/dL) of healthy infants of 35 weeks and more,
+ * read from the Bhutani nomogram (Pediatrics 1999;103:6–14), as `[ageInHours, bilirubin]` points.
+ */
+export const PERCENTILE_TRACKS = {
+    p40: [[12, 3], [24, 5], [36, 7], [48, 8.5], [60, 10], [72, 11.3], [84, 12.3], [96, 13], [120, 13.2], [168, 13.2]],
+    p75: [[12, 4], [24, 6.5], [36, 9.5], [48, 11.5], [60, 13.3], [72, 14.6], [84, 15.3], [96, 15.6], [120, 15.8], [168, 15.8]],
+    p95: [[12, 5.5], [24, 8], [36, 11.7], [48, 15], [60, 16], [72, 17], [84, 17.3], [96, 17.5], [120, 17.5], [168, 17.5]]
+};
+
+/** The Bhutani nomogram was built from infants of 35 weeks and more; younger infants have no percentile track. */
+export const PERCENTILE_MIN_GESTATIONAL_AGE = 35;
+
+/** The earliest and latest next sample, in hours from the latest value, when the guideline sets no window. */
+export const NEXT_SAMPLE_HOURS = { min: 4, max: 48 };
+
+/** The step (in hours) at which the projection is compared with the phototherapy curve. */
+const STEP_HOURS = 0.25;
+
+/**
+ * Reads a piecewise linear track at an age, holding the first and last values outside it.
+ * @param {Array<[number, number]>} points - The track.
+ * @param {number} ageInHours - The age.
+ * @returns {number} The value of the track.
+ */
+function valueAt(points, ageInHours) {
+    if (ageInHours <= points[0][0]) return points[0][1];
+    for (let i = 0; i < points.length - 1; i++) {
+        const [t1, b1] = points[i];
+        const [t2, b2] = points[i + 1];
+        if (ageInHours <= t2) return b1 + (ageInHours - t1) * ((b2 - b1) / (t2 - t1));
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Builds the percentile track through a single value: the value keeps its position between the
+ * neighbouring percentile curves, or its ratio to the lowest or highest curve outside them.
+ * @param {number} ageInHours - The age of the value.
+ * @param {number} bilirubin - The value in mg/dL.
+ * @returns {function(number): number} The projected value at a later age.
+ */
+export function getPercentileTrack(ageInHours, bilirubin) {
+    const tracks = [PERCENTILE_TRACKS.p40, PERCENTILE_TRACKS.p75, PERCENTILE_TRACKS.p95];
+    const now = tracks.map(track => valueAt(track, ageInHours));
+    if (bilirubin <= now[0] || bilirubin >= now[now.length - 1]) {
+        const track = bilirubin <= now[0] ? tracks[0] : tracks[tracks.length - 1];
+        const ratio = bilirubin / valueAt(track, ageInHours);
+        return (age) => valueAt(track, age) * ratio;
+    }
+    const lower = now.findIndex((value, index) => bilirubin >= value && bilirubin <= now[index + 1]);
+    const position = (bilirubin - now[lower]) / (now[lower + 1] - now[lower]);
+    return (age) => {
+        const low = valueAt(tracks[lower], age);
+        return low + position * (valueAt(tracks[lower + 1], age) - low);
+    };
+}
+
+/**
+ * Projects when the bilirubin reaches the phototherapy threshold and when to sample next.
+ *
+ * @param {object} input - The projection input.
+ * @param {Array<{time: number, value: number}>} input.values - The bilirubin values in mg/dL with
+ * their sample times, including the latest; in any order.
+ * @param {number} input.birthTime - The birth time as a millisecond timestamp.
+ * @param {number} input.gestationalAge - The gestational age in completed weeks.
+ * @param {boolean} input.hasRiskFactors - Whether neurotoxicity risk factors are present.
+ * @param {string|null} [input.guidelineId=null] - The preferred guideline dataset.
+ * @param {{minHours: number, maxHours: number}|null} [input.followUp=null] - The follow-up window of
+ * the guideline result, which caps the time to the next sample.
+ * @returns {{method: 'rate'|'percentile', rate: number|null, crossingTime: number|null, crossingAgeHours: number|null,
+ *   nextSampleTime: number, nextSampleAgeHours: number, horizonHours: number}|null} The projection: the
+ * method, the rate of rise used (mg/dL per hour), the projected crossing (null when it is not
+ * reached within the curve), and the next sample. Null when the latest value is already at or
+ * above the threshold, there is no curve, or there is a single value below
+ * `PERCENTILE_MIN_GESTATIONAL_AGE` weeks, where a second value is needed for a rate.
+ */
+export function projectTimeToThreshold({ values, birthTime, gestationalAge, hasRiskFactors, guidelineId = null, followUp = null }) {
+    const { points } = getCurve('phototherapy', hasRiskFactors, gestationalAge, guidelineId);
+    if (points === null || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a.time - b.time);
+    const latest = sorted[sorted.length - 1];
+    const latestAge = (latest.time - birthTime) / MS_PER_HOUR;
+    const thresholdAt = (age) => getJaundiceGuideline('phototherapy', hasRiskFactors, gestationalAge, age, 0, guidelineId).threshold;
+    if (latestAge < points[0][0] || latest.value >= thresholdAt(latestAge)) return null;
+
+    const rate = sorted.length >= 2 ? getRateOfRise(sorted[sorted.length - 2], latest) : null;
+    const method = rate === null ? 'percentile' : 'rate';
+    if (method === 'percentile' && gestationalAge < PERCENTILE_MIN_GESTATIONAL_AGE) return null;
+    const project = method === 'rate'
+        ? (age) => latest.value + rate * (age - latestAge)
+        : getPercentileTrack(latestAge, latest.value);
+
+    const horizonHours = points[points.length - 1][0];
+    let crossingAgeHours = null;
+    if (method === 'percentile' || rate > 0) {
+        for (let age = latestAge + STEP_HOURS; age <= horizonHours; age += STEP_HOURS) {
+            if (project(age) >= thresholdAt(age)) {
+                crossingAgeHours = age;
+                break;
+            }
+        }
+    }
+
+    // Sample again halfway to the projected crossing, so a faster rise is still caught below the
+    // threshold, within the guideline's follow-up window and never after the crossing itself.
+    const maxHours = followUp && followUp.maxHours > 0 ? followUp.maxHours : NEXT_SAMPLE_HOURS.max;
+    const hoursToCrossing = crossingAgeHours === null ? Infinity : crossingAgeHours - latestAge;
+    const minHours = Math.min(NEXT_SAMPLE_HOURS.min, hoursToCrossing);
+    const hoursToNextSample = Math.min(maxHours, Math.max(minHours, hoursToCrossing / 2));
+    const nextSampleTime = latest.time + Math.round(hoursToNextSample * 60) * 60 * 1000;
+
+    return {
+        method,
+        rate,
+        crossingAgeHours,
+        crossingTime: crossingAgeHours === null ? null : birthTime + crossingAgeHours * MS_PER_HOUR,
+        nextSampleTime,
+        nextSampleAgeHours: (nextSampleTime - birthTime) / MS_PER_HOUR,
+        horizonHours
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * @file report.js
+ * @description The clinical summary of an assessment, for printing and for export to an EHR.
+ * `buildReport` collects the patient, times, inputs and guideline result in one plain object;
+ * it is exported as JSON as it is, as a one-row CSV, or as a FHIR R4 Bundle with the bilirubin
+ * `Observation` and a `RiskAssessment` based on it. Exported values are always in mg/dL and
+ * the texts in English, whatever the page shows.
+ */
+import { translate } from './i18n.js';
+
+/** LOINC codes of the bilirubin measurements. */
+export const LOINC_CODES = {
+    TSB: { code: '1975-2', display: 'Bilirubin.total [Mass/volume] in Serum or Plasma' },
+    TcB: { code: '58941-6', display: 'Transcutaneous Bilirubin measurement' }
+};
+
+/** FHIR risk probability codes for the severities of the guideline tiers. */
+const RISK_PROBABILITY = { high: 'high', medium: 'moderate', low: 'low', none: 'negligible' };
+
+/** The threshold names, in the order they are reported. */
+const THRESHOLD_NAMES = ['phototherapy', 'escalation', 'exchange'];
+
+/** The columns of the CSV export. */
+const CSV_COLUMNS = [
+    'patient', 'birth_time', 'sample_time', 'age_hours', 'ga_weeks', 'ga_days', 'risk_factors',
+    'bilirubin_mg_dl', 'source', 'phototherapy_threshold_mg_dl', 'escalation_threshold_mg_dl',
+    'exchange_threshold_mg_dl', 'tier', 'guideline', 'guideline_version', 'generated_at'
+];
+
+/**
+ * Collects an assessment into a report.
+ *
+ * @param {object} input - The assessment.
+ * @param {{label: string, id?: string|null}} input.patient - The patient identifiers.
+ * @param {number} input.birthTime - The birth time as a millisecond timestamp.
+ * @param {number} input.sampleTime - The sample time as a millisecond timestamp.
+ * @param {number} input.ageInHours - The age at the sample in fractional hours.
+ * @param {number} input.gestationalAge - The gestational age in completed weeks.
+ * @param {number} [input.gestationalAgeDays=0] - The extra days of gestation.
+ * @param {string[]} [input.riskFactors=[]] - The keys of the present risk factors.
+ * @param {number|null} input.bilirubin - The bilirubin in mg/dL.
+ * @param {string} [input.source='TSB'] - 'TSB' or 'TcB'.
+ * @param {object} input.result - The `evaluateGuideline` result for the sample.
+ * @param {number} [input.generatedAt=Date.now()] - When the report was made.
+ * @returns {object} The report, with times as ISO 8601 strings and values in mg/dL.
+ */
+export function buildReport({
+    patient,
+    birthTime,
+    sampleTime,
+    ageInHours,
+    gestationalAge,
+    gestationalAgeDays = 0,
+    riskFactors = [],
+    bilirubin,
+    source = 'TSB',
+    result,
+    generatedAt = Date.now()
+}) {
+    return {
+        patient: { label: patient.label, id: patient.id ?? null },
+        birthTime: new Date(birthTime).toISOString(),
+        sampleTime: new Date(sampleTime).toISOString(),
+        ageInHours: parseFloat(ageInHours.toFixed(2)),
+        gestationalAge: { weeks: gestationalAge, days: gestationalAgeDays },
+        riskFactors: [...riskFactors],
+        bilirubin: bilirubin === null ? null : { value: bilirubin, unit: 'mg/dL', source },
+        thresholds: result.thresholds ? { ...result.thresholds, unit: 'mg/dL' } : null,
+        bilirubinAlbuminRatio: result.bilirubinAlbuminRatio ?? null,
+        tier: result.tier,
+        severity: result.severity,
+        guideline: result.guideline,
+        generatedAt: new Date(generatedAt).toISOString()
+    };
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ * @param {*} value - The field value; null and undefined become empty fields.
+ * @returns {string} The CSV field.
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports a report as CSV: a header row and one row of values.
+ * @param {object} report - A report from `buildReport`.
+ * @returns {string} The CSV text.
+ */
+export function toCsv(report) {
+    const thresholds = report.thresholds || {};
+    const values = [
+        report.patient.label, report.birthTime, report.sampleTime, report.ageInHours,
+        report.gestationalAge.weeks, report.gestationalAge.days, report.riskFactors.join(';'),
+        report.bilirubin?.value, report.bilirubin?.source, thresholds.phototherapy,
+        thresholds.escalation, thresholds.exchange, report.tier, report.guideline?.name,
+        report.guideline?.version, report.generatedAt
+    ];
+    return `${CSV_COLUMNS.join(',')}\r\n${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * A FHIR Quantity in mg/dL.
+ * @param {number} value - The value in mg/dL.
+ * @returns {object} The Quantity.
+ */
+function mgPerDl(value) {
+    return { value, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' };
+}
+
+/**
+ * Exports a report as a FHIR R4 Bundle of type `collection`: an `Observation` with the bilirubin
+ * value, the thresholds as reference ranges and the age at the sample, and a `RiskAssessment`
+ * with the tier, based on that observation. The patient is identified by its label only.
+ *
+ * @param {object} report - A report from `buildReport`; it needs a bilirubin value and a patient label,
+ * since a `RiskAssessment` needs a subject and FHIR does not allow empty strings.
+ * @param {{newId?: () => string}} [options] - Makes the ids of the entries (random UUIDs by default).
+ * @returns {object} The Bundle.
+ */
+export function toFhirBundle(report, { newId = () => crypto.randomUUID() } = {}) {
+    if (report.bilirubin === null) {
+        throw new Error('A FHIR export needs a bilirubin value');
+    }
+    if (report.patient.label === '') {
+        throw new Error('A FHIR export needs a patient label');
+    }
+    const subject = { display: report.patient.label };
+    const observationUrl = `urn:uuid:${newId()}`;
+    const riskAssessmentUrl = `urn:uuid:${newId()}`;
+    const { code, display } = LOINC_CODES[report.bilirubin.source];
+    const guidelineText = report.guideline ? `${report.guideline.name} (${report.guideline.version})` : null;
+    const gestationalAgeText = `${report.gestationalAge.weeks}+${report.gestationalAge.days} weeks`;
+    const riskFactorText = report.riskFactors.length > 0
+        ? report.riskFactors.map(factor => translate(`riskFactor.${factor}`, {}, 'en')).join(', ')
+        : 'none';
+
+    const observation = {
+        resourceType: 'Observation',
+        status: 'final',
+        category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory' }] }],
+        code: { coding: [{ system: 'http://loinc.org', code, display }], text: `${report.bilirubin.source} ${display}` },
+        subject,
+        effectiveDateTime: report.sampleTime,
+        valueQuantity: mgPerDl(report.bilirubin.value),
+        referenceRange: report.thresholds === null ? [] : THRESHOLD_NAMES.filter(name => report.thresholds[name] !== null).map(name => ({
+            high: mgPerDl(report.thresholds[name]),
+            text: `${translate(`results.${name}Threshold`, {}, 'en')}${guidelineText ? `, ${guidelineText}` : ''}`
+        })),
+        component: [{
+            code: { text: 'Postnatal age at sample' },
+            valueQuantity: { value: report.ageInHours, unit: 'h', system: 'http://unitsofmeasure.org', code: 'h' }
+        }],
+        note: [{ text: `Birth: ${report.birthTime}. Gestational age: ${gestationalAgeText}. Risk factors: ${riskFactorText}.` }]
+    };
+
+    const riskAssessment = {
+        resourceType: 'RiskAssessment',
+        status: 'final',
+        subject,
+        occurrenceDateTime: report.generatedAt,
+        basis: [{ reference: observationUrl }],
+        prediction: report.tier === null ? [] : [{
+            outcome: { text: translate(`tier.${report.tier}`, {}, 'en') },
+            qualitativeRisk: {
+                coding: [{ system: 'http://terminology.hl7.org/CodeSystem/risk-probability', code: RISK_PROBABILITY[report.severity] }]
+            }
+        }]
+    };
+    if (guidelineText) riskAssessment.method = { text: guidelineText };
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: report.generatedAt,
+        entry: [
+            { fullUrl: observationUrl, resource: observation },
+            { fullUrl: riskAssessmentUrl, resource: riskAssessment }
+        ]
+    };
+}
@@ -0,0 +1,68 @@
+/**
+ * @file risk-factors.js
+ * @description The hyperbilirubinemia neurotoxicity risk factors of the AAP 2022 guideline.
+ * Each factor is checked separately. The threshold curves are already drawn per week of gestation,
+ * so the infant belongs to their "with risk factors" group as soon as a factor other than the
+ * gestational age is present.
+ */
+
+/** Infants below this gestational age (in completed weeks) have a risk factor. */
+export const RISK_GESTATIONAL_AGE = 38;
+
+/** A serum albumin below this value (in g/dL) is a risk factor. */
+export const LOW_ALBUMIN_THRESHOLD = 3.0;
+
+/**
+ * The risk factors, in the order they are listed to the user.
+ * `gestationalAgeBelow38` and `lowAlbumin` are derived from measured values; the others are
+ * clinical findings that are ticked by hand.
+ */
+export const RISK_FACTORS = [
+    'gestationalAgeBelow38',
+    'lowAlbumin',
+    'isoimmuneHemolyticDisease',
+    'g6pdDeficiency',
+    'sepsis',
+    'clinicalInstability'
+];
+
+/**
+ * Lists the risk factors that are present.
+ *
+ * @param {object} input - The patient findings.
+ * @param {number|null} input.gestationalAge - The gestational age in completed weeks.
+ * @param {number|null} [input.albumin=null] - The serum albumin in g/dL, or null if it was not measured.
+ * @param {boolean} [input.isoimmuneHemolyticDisease=false] - Isoimmune hemolytic disease (positive DAT).
+ * @param {boolean} [input.g6pdDeficiency=false] - G6PD deficiency.
+ * @param {boolean} [input.sepsis=false] - Sepsis.
+ * @param {boolean} [input.clinicalInstability=false] - Significant clinical instability in the previous 24 hours.
+ * @returns {string[]} The keys of the factors that are present, in the order of `RISK_FACTORS`.
+ */
+export function getRiskFactors({
+    gestationalAge,
+    albumin = null,
+    isoimmuneHemolyticDisease = false,
+    g6pdDeficiency = false,
+    sepsis = false,
+    clinicalInstability = false
+}) {
+    const present = {
+        gestationalAgeBelow38: typeof gestationalAge === 'number' && gestationalAge < RISK_GESTATIONAL_AGE,
+        lowAlbumin: typeof albumin === 'number' && albumin < LOW_ALBUMIN_THRESHOLD,
+        isoimmuneHemolyticDisease,
+        g6pdDeficiency,
+        sepsis,
+        clinicalInstability
+    };
+    return RISK_FACTORS.filter(factor => present[factor]);
+}
+
+/**
+ * Whether the "with risk factors" threshold curves apply: the AAP 2022 curves count every risk
+ * factor except the gestational age, which they account for by week.
+ * @param {string[]} riskFactors - The keys returned by `getRiskFactors`.
+ * @returns {boolean} True if a factor other than `gestationalAgeBelow38` is present.
+ */
+export function hasRiskFactorsOtherThanGestationalAge(riskFactors) {
+    return riskFactors.some(factor => factor !== 'gestationalAgeBelow38');
+}
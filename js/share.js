@@ -0,0 +1,127 @@
+/**
+ * @file share.js
+ * @description Shareable links. The inputs of a calculation are written to the URL hash so that
+ * opening the link reproduces the same result on another device: the birth and sample times
+ * are absolute (UTC) times, so the age is the same in every time zone, and the bilirubin keeps
+ * the unit it was entered in. Patient names are never put in a link.
+ */
+import { SOURCES } from './measurements.js';
+import { RISK_FACTORS } from './risk-factors.js';
+import { UNITS } from './units.js';
+
+/** The risk factors that are ticked by hand; the others are derived from GA and albumin. */
+const CLINICAL_FINDINGS = RISK_FACTORS.filter(factor => factor !== 'gestationalAgeBelow38' && factor !== 'lowAlbumin');
+
+/**
+ * Writes a timestamp as a UTC time to the minute, e.g. `2025-01-01T08:55Z`.
+ * @param {number} timestamp - The time in milliseconds.
+ * @returns {string} The time.
+ */
+function formatTime(timestamp) {
+    return `${new Date(timestamp).toISOString().slice(0, 16)}Z`;
+}
+
+/**
+ * Reads a time written by `formatTime`.
+ * @param {string|null} text - The time.
+ * @returns {number|null} The timestamp, or null when missing or invalid.
+ */
+function parseTime(text) {
+    if (!text || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}Z$/.test(text)) return null;
+    const timestamp = Date.parse(text);
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Reads a number.
+ * @param {string|null} text - The number.
+ * @returns {number|null} The number, or null when missing or invalid.
+ */
+function parseNumber(text) {
+    if (text === null || text === '') return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Writes the inputs of a calculation as a URL hash.
+ *
+ * @param {object} input - The calculation inputs.
+ * @param {number} input.birthTime - The birth time as a millisecond timestamp.
+ * @param {number} input.sampleTime - The sample time as a millisecond timestamp.
+ * @param {number} input.gestationalAge - The gestational age in completed weeks.
+ * @param {number} [input.gestationalAgeDays=0] - The extra days of gestation.
+ * @param {number|null} [input.bilirubin=null] - The bilirubin as entered, in `unit`.
+ * @param {string} [input.unit='mg/dL'] - The unit of `bilirubin`.
+ * @param {string} [input.source='TSB'] - 'TSB' or 'TcB'.
+ * @param {number|null} [input.albumin=null] - The serum albumin in g/dL.
+ * @param {object} [input.riskFindings={}] - The clinical risk factors ticked in the checklist, by key.
+ * @param {boolean} [input.hasKernicterusSigns=false] - Whether signs of kernicterus are present.
+ * @param {string|null} [input.guidelineId=null] - The preferred guideline dataset.
+ * @param {number|null} [input.phototherapyStartTime=null] - The start of phototherapy, if in progress.
+ * @returns {string} The hash, starting with '#'.
+ */
+export function encodeShareState({
+    birthTime,
+    sampleTime,
+    gestationalAge,
+    gestationalAgeDays = 0,
+    bilirubin = null,
+    unit = 'mg/dL',
+    source = 'TSB',
+    albumin = null,
+    riskFindings = {},
+    hasKernicterusSigns = false,
+    guidelineId = null,
+    phototherapyStartTime = null
+}) {
+    const params = new URLSearchParams();
+    params.set('birth', formatTime(birthTime));
+    params.set('sample', formatTime(sampleTime));
+    params.set('ga', `${gestationalAge}+${gestationalAgeDays}`);
+    if (bilirubin !== null) {
+        params.set('bili', String(bilirubin));
+        params.set('unit', unit);
+        params.set('source', source);
+    }
+    if (albumin !== null) params.set('albumin', String(albumin));
+    const findings = CLINICAL_FINDINGS.filter(factor => riskFindings[factor]);
+    if (findings.length > 0) params.set('risk', findings.join(','));
+    if (hasKernicterusSigns) params.set('kernicterus', '1');
+    if (guidelineId) params.set('guideline', guidelineId);
+    if (phototherapyStartTime !== null) params.set('phototherapy', formatTime(phototherapyStartTime));
+    return `#${params.toString()}`;
+}
+
+/**
+ * Reads the inputs of a calculation from a URL hash written by `encodeShareState`.
+ * @param {string} hash - The URL hash, with or without the leading '#'.
+ * @returns {object|null} The inputs, with the fields of `encodeShareState`, or null when the hash
+ * does not hold a valid birth time, sample time and gestational age.
+ */
+export function decodeShareState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const birthTime = parseTime(params.get('birth'));
+    const sampleTime = parseTime(params.get('sample'));
+    const gaMatch = /^(\d{1,2})\+(\d)$/.exec(params.get('ga') || '');
+    if (birthTime === null || sampleTime === null || gaMatch === null) return null;
+
+    const unit = params.get('unit');
+    const source = params.get('source');
+    const bilirubin = UNITS.includes(unit) ? parseNumber(params.get('bili')) : null;
+    const risk = (params.get('risk') || '').split(',');
+    return {
+        birthTime,
+        sampleTime,
+        gestationalAge: parseInt(gaMatch[1], 10),
+        gestationalAgeDays: parseInt(gaMatch[2], 10),
+        bilirubin,
+        unit: bilirubin === null ? 'mg/dL' : unit,
+        source: SOURCES.includes(source) ? source : 'TSB',
+        albumin: parseNumber(params.get('albumin')),
+        riskFindings: Object.fromEntries(CLINICAL_FINDINGS.map(factor => [factor, risk.includes(factor)])),
+        hasKernicterusSigns: params.get('kernicterus') === '1',
+        guidelineId: params.get('guideline'),
+        phototherapyStartTime: parseTime(params.get('phototherapy'))
+    };
+}
@@ -0,0 +1,50 @@
+/**
+ * @file time.js
+ * @description Clock times and postnatal age. Birth and sample times are entered as a local date
+ * plus hour and minute; they are turned into absolute timestamps once, and every age is the
+ * difference between two timestamps. Ages are kept to the minute as fractional hours, so a
+ * change to or from daylight saving time between birth and sample is counted as the real
+ * elapsed time rather than as a shift of the wall clock.
+ */
+
+/** Milliseconds in a minute. */
+export const MS_PER_MINUTE = 1000 * 60;
+
+/** Milliseconds in an hour. */
+export const MS_PER_HOUR = MS_PER_MINUTE * 60;
+
+/**
+ * Builds the timestamp of a local date and clock time.
+ * @param {Date} date - The day; only its local year, month and day are used.
+ * @param {number} hour - The hour of the day (0–23).
+ * @param {number} [minute=0] - The minute of the hour (0–59).
+ * @returns {number} The millisecond timestamp of that moment in the local time zone.
+ */
+export function toTimestamp(date, hour, minute = 0) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute).getTime();
+}
+
+/**
+ * The postnatal age at a moment, to the minute.
+ * @param {number} birthTime - The birth time as a millisecond timestamp.
+ * @param {number} time - The moment as a millisecond timestamp.
+ * @returns {number} The age in fractional hours; 0 for a moment before birth.
+ */
+export function getAgeInHours(birthTime, time) {
+    const minutes = Math.round((time - birthTime) / MS_PER_MINUTE);
+    return Math.max(0, minutes / 60);
+}
+
+/**
+ * Splits an age into whole days, hours and minutes for display.
+ * @param {number} ageInHours - The age in fractional hours.
+ * @returns {{days: number, hours: number, minutes: number}} The parts of the age.
+ */
+export function splitAge(ageInHours) {
+    const totalMinutes = Math.round(ageInHours * 60);
+    return {
+        days: Math.floor(totalMinutes / (24 * 60)),
+        hours: Math.floor(totalMinutes / 60) % 24,
+        minutes: totalMinutes % 60
+    };
+}
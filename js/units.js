@@ -0,0 +1,60 @@
+/**
+ * @file units.js
+ * @description Bilirubin units. The guideline engine works in mg/dL throughout; these helpers
+ * convert values to and from the unit the user enters and reads them in (mg/dL or µmol/L).
+ */
+
+/** The supported bilirubin units. */
+export const UNITS = ['mg/dL', 'µmol/L'];
+
+/** 1 mg/dL of bilirubin is 17.1 µmol/L. */
+export const UMOL_PER_MG = 17.1;
+
+/**
+ * The plausible range and the precision of the bilirubin input in each unit. Values outside the
+ * range are reported by `validation.js` rather than clamped. The µmol/L limits are the mg/dL
+ * limits (1–40) converted and rounded to whole numbers.
+ */
+export const INPUT_LIMITS = {
+    'mg/dL': { min: 1, max: 40, step: 0.1, isFloat: true, startValue: 8 },
+    'µmol/L': { min: 17, max: 684, step: 1, isFloat: false, startValue: 137 }
+};
+
+/** Decimals shown for bilirubin values in each unit. */
+const DECIMALS = { 'mg/dL': 2, 'µmol/L': 0 };
+
+/**
+ * Throws for units other than `UNITS`.
+ * @param {string} unit - The unit to check.
+ */
+function assertUnit(unit) {
+    if (!UNITS.includes(unit)) {
+        throw new Error(`Unknown bilirubin unit: ${unit}`);
+    }
+}
+
+/**
+ * Converts a bilirubin value in mg/dL to a unit, rounded to the precision of that unit.
+ * @param {number|null} value - The value in mg/dL.
+ * @param {string} unit - One of `UNITS`.
+ * @returns {number|null} The converted value, or null for a null value.
+ */
+export function fromMgPerDl(value, unit) {
+    assertUnit(unit);
+    if (value === null) return null;
+    const converted = unit === 'µmol/L' ? value * UMOL_PER_MG : value;
+    return parseFloat(converted.toFixed(DECIMALS[unit]));
+}
+
+/**
+ * Converts a bilirubin value in a unit to mg/dL, the unit of the guideline engine.
+ * @param {number|null} value - The value in `unit`.
+ * @param {string} unit - One of `UNITS`.
+ * @returns {number|null} The value in mg/dL rounded to two decimals, or null for a null value.
+ */
+export function toMgPerDl(value, unit) {
+    assertUnit(unit);
+    if (value === null) return null;
+    const converted = unit === 'µmol/L' ? value / UMOL_PER_MG : value;
+    return parseFloat(converted.toFixed(2));
+}
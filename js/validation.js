@@ -0,0 +1,61 @@
+/**
+ * @file validation.js
+ * @description Checks the clinical inputs before any recommendation is made. Values are never
+ * clamped or corrected: an implausible time or value is reported as a problem, each with its own
+ * message key, and the page shows no recommendation until every problem is fixed.
+ */
+import { getAgeInHours } from './time.js';
+import { INPUT_LIMITS } from './units.js';
+
+/**
+ * Checks the inputs of an assessment.
+ *
+ * @param {object} input - The inputs.
+ * @param {number} input.now - The current time as a millisecond timestamp.
+ * @param {number|null} input.birthTime - The birth time, or null when not entered.
+ * @param {number|null} input.sampleTime - The sample (lab) time, or null when not entered.
+ * @param {number|null} [input.phototherapyStartTime=null] - The start of phototherapy, or null when it is not
+ * in progress or not entered.
+ * @param {number|null} [input.bilirubin=null] - The bilirubin as entered, in `unit`.
+ * @param {string} [input.unit='mg/dL'] - The unit of `bilirubin`, one of the keys of `INPUT_LIMITS`.
+ * @param {number|null} [input.maxAgeHours=null] - The last age of the guideline curves; the curves
+ * are not extrapolated beyond it. Null when no curve applies.
+ * @param {Array<{name: string, value: number|null, min?: number, max?: number}>} [input.fields=[]] - Other
+ * numeric fields with their allowed range; empty fields are not checked.
+ * @returns {Array<{key: string, params: object, field?: string}>} The problems, in the order they should be
+ * shown: out-of-range fields (with the name of the field), then the times and age, then the bilirubin.
+ * Empty when the inputs are valid.
+ */
+export function validateInputs({ now, birthTime, sampleTime, phototherapyStartTime = null, bilirubin = null, unit = 'mg/dL', maxAgeHours = null, fields = [] }) {
+    const problems = [];
+    for (const { name, value, min, max } of fields) {
+        if (value === null) continue;
+        if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+            problems.push({ key: 'validation.outOfRange', field: name, params: { value, min: min ?? 0, max } });
+        }
+    }
+
+    // A birth in the future puts every sample before it; only the birth time is reported then.
+    if (birthTime !== null && birthTime > now) {
+        problems.push({ key: 'validation.birthInFuture', params: {} });
+    } else if (birthTime !== null && sampleTime !== null && sampleTime < birthTime) {
+        problems.push({ key: 'validation.sampleBeforeBirth', params: {} });
+    } else if (birthTime !== null && sampleTime !== null && maxAgeHours !== null && getAgeInHours(birthTime, sampleTime) > maxAgeHours) {
+        problems.push({ key: 'validation.ageBeyondCurve', params: { ageInHours: parseFloat(getAgeInHours(birthTime, sampleTime).toFixed(1)), maxAge: maxAgeHours } });
+    }
+    if (sampleTime !== null && sampleTime > now) {
+        problems.push({ key: 'validation.sampleInFuture', params: {} });
+    }
+    if (phototherapyStartTime !== null && birthTime !== null && birthTime <= now && phototherapyStartTime < birthTime) {
+        problems.push({ key: 'validation.phototherapyStartBeforeBirth', params: {} });
+    }
+    if (phototherapyStartTime !== null && phototherapyStartTime > now) {
+        problems.push({ key: 'validation.phototherapyStartInFuture', params: {} });
+    }
+
+    const limits = INPUT_LIMITS[unit];
+    if (bilirubin !== null && (bilirubin < limits.min || bilirubin > limits.max)) {
+        problems.push({ key: 'validation.bilirubinImplausible', params: { value: bilirubin, min: limits.min, max: limits.max, unit } });
+    }
+    return problems;
+}
@@ -0,0 +1,105 @@
+/**
+ * @file sw.js
+ * @description Service worker that keeps the calculator working without a connection.
+ * Every file of the page is precached under the app version, and served from the cache first,
+ * so all files of one version are always used together. A new version is picked up when this
+ * file changes: the new worker precaches the new files and waits until the page asks it to take
+ * over (the "update available" prompt in `main.js`), then removes the caches of older versions.
+ * Guideline datasets are fetched from the network first, so a local protocol added to
+ * `guidelines/` shows up without a new version, and fall back to the cache when offline.
+ */
+
+/**
+ * The app version, the `version` of package.json (a test keeps them equal). Raise it with every
+ * change to a precached file, or installed copies keep serving the old files.
+ */
+const VERSION = '2.6.1';
+const CACHE_NAME = `bilicalc-${VERSION}`;
+
+/** The files of the page, relative to this worker. */
+const PRECACHE_URLS = [
+    'calculator.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/main.js',
+    'js/guideline.js',
+    'js/guideline-schema.js',
+    'js/i18n.js',
+    'js/measurements.js',
+    'js/nomogram.js',
+    'js/patient-store.js',
+    'js/patients.js',
+    'js/phototherapy.js',
+    'js/projection.js',
+    'js/report.js',
+    'js/risk-factors.js',
+    'js/share.js',
+    'js/time.js',
+    'js/units.js',
+    'js/validation.js',
+    'js/persian-datepicker-element.min.js',
+    'guidelines/index.json',
+    'guidelines/aap-2022.json',
+    'guidelines/preterm-2012.json'
+];
+
+self.addEventListener('install', (event) => {
+    // `reload` bypasses the HTTP cache, so the new version never precaches a stale file.
+    event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+        cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith('bilicalc-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Fetches from the network and stores a fresh copy, falling back to the cache when offline.
+ * @param {Request} request The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves a precached file, fetching (and caching) anything that was not precached.
+ * @param {Request} request The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    const isGuideline = url.pathname.includes('/guidelines/');
+    event.respondWith(isGuideline ? networkFirst(event.request) : cacheFirst(event.request));
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGuideline } from '../js/guideline-schema.js';
+import { readGuideline } from './helpers.js';
+
+const aap = readGuideline('aap-2022.json');
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe('validateGuideline', () => {
+    for (const file of ['aap-2022.json', 'preterm-2012.json']) {
+        test(`accepts the bundled ${file}`, () => {
+            assert.deepEqual(validateGuideline(readGuideline(file)), []);
+        });
+    }
+
+    test('rejects values that are not objects', () => {
+        assert.deepEqual(validateGuideline(null), ['the dataset must be an object']);
+    });
+
+    test('requires the metadata fields', () => {
+        const dataset = clone(aap);
+        delete dataset.citation;
+        dataset.name = ' ';
+        assert.deepEqual(validateGuideline(dataset), ['name must be a non-empty string', 'citation must be a non-empty string']);
+    });
+
+    test('requires a gestational age range', () => {
+        assert.deepEqual(validateGuideline({ ...clone(aap), gestationalAgeRange: [40, 35] }), ['gestationalAgeRange must be [minWeeks, maxWeeks or null]']);
+    });
+
+    test('accepts only treatment types as curves that follow the postmenstrual age', () => {
+        assert.deepEqual(validateGuideline({ ...clone(aap), postmenstrualAgeCurves: ['phototherapy'] }), []);
+        assert.deepEqual(validateGuideline({ ...clone(aap), postmenstrualAgeCurves: ['transfusion'] }), [
+            'postmenstrualAgeCurves must be a list of treatment types (phototherapy, exchange)'
+        ]);
+    });
+
+        test('requires curves for both treatment types and risk groups', () => {
+        const dataset = clone(aap);
+        delete dataset.curves.exchange.withRisk;
+        assert.deepEqual(validateGuideline(dataset), ['curves.exchange.withRisk must be an object']);
+    });
+
+    test('requires points in increasing age order', () => {
+        const dataset = clone(aap);
+        dataset.curves.phototherapy.noRisk['38'].points[2] = [6, 12.1];
+        assert.deepEqual(validateGuideline(dataset), ['curves.phototherapy.noRisk.38.points[2] must come after the previous point']);
+    });
+
+    test('requires numeric points', () => {
+        const dataset = clone(aap);
+        dataset.curves.exchange.noRisk['35'].points[0] = [24, '18'];
+        assert.deepEqual(validateGuideline(dataset), ['curves.exchange.noRisk.35.points[0] must be [hours, bilirubin]']);
+    });
+
+    test('requires a curve for the first week of each range', () => {
+        const dataset = clone(aap);
+        delete dataset.curves.phototherapy.withRisk['35'];
+        assert.deepEqual(validateGuideline(dataset), ['curves.phototherapy.withRisk must define a curve for the first week of its range (35)']);
+    });
+
+    test('rejects unknown rule conditions and severities', () => {
+        const dataset = clone(aap);
+        dataset.tiers[0].when = { atOrAbove: 'transfusion', tsbAbove: 20 };
+        dataset.tiers[1].severity = 'urgent';
+        assert.deepEqual(validateGuideline(dataset), [
+            'tiers[0].when.atOrAbove has an invalid value',
+            'tiers[0].when.tsbAbove is not a known condition',
+            'tiers[1].severity must be one of high, medium, low, none'
+        ]);
+    });
+
+    test('allows leaving out the escalation threshold unless a rule refers to it', () => {
+        const dataset = clone(aap);
+        delete dataset.escalationOffset;
+        assert.deepEqual(validateGuideline(dataset), [
+            'tiers[1].when.atOrAbove escalation needs an escalationOffset',
+            'tiers[2].when.atOrAbove escalation needs an escalationOffset'
+        ]);
+        assert.deepEqual(validateGuideline({ ...clone(aap), escalationOffset: -2 }), ['escalationOffset must be a number']);
+    });
+
+    test('requires a catch-all last rule', () => {
+        const dataset = clone(aap);
+        dataset.tiers.pop();
+        assert.deepEqual(validateGuideline(dataset), ['the last tier rule must have an empty "when" so that every value gets a tier']);
+    });
+
+    test('checks the optional bilirubin/albumin ratio table', () => {
+        const dataset = clone(aap);
+        dataset.bilirubinAlbuminRatio.noRisk = { '35': 0, later: 8 };
+        delete dataset.bilirubinAlbuminRatio.withRisk;
+        assert.deepEqual(validateGuideline(dataset), [
+            'bilirubinAlbuminRatio.withRisk must map gestational ages to ratios',
+            'bilirubinAlbuminRatio.noRisk.35 must be a positive ratio',
+            'bilirubinAlbuminRatio.noRisk.later is not a gestational age in weeks'
+        ]);
+    });
+
+    test('rejects ratio rules in a dataset without a ratio table', () => {
+        const dataset = clone(aap);
+        delete dataset.bilirubinAlbuminRatio;
+        assert.deepEqual(validateGuideline(dataset), ['tiers[1].when.ratioAtOrAbove needs a bilirubinAlbuminRatio table']);
+    });
+
+    test('requires message keys on every rule', () => {
+        const dataset = clone(aap);
+        delete dataset.tiers[7].messages.detail;
+        assert.deepEqual(validateGuideline(dataset), ['tiers[7].messages must have either an items list or a detail key']);
+    });
+});
@@ -0,0 +1,325 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TIERS, clearGuidelines, registerGuideline, getGuidelines, selectGuideline, getCurve, getJaundiceGuideline, getBilirubinAlbuminRatioCutoff, evaluateGuideline } from '../js/guideline.js';
+import { readGuideline, registerBundledGuidelines } from './helpers.js';
+
+registerBundledGuidelines();
+
+describe('selectGuideline', () => {
+    test('selects AAP 2022 from 35 weeks and the preterm thresholds below', () => {
+        assert.equal(selectGuideline(41).id, 'aap2022');
+        assert.equal(selectGuideline(35).id, 'aap2022');
+        assert.equal(selectGuideline(34).id, 'preterm2012');
+        assert.equal(selectGuideline(22).id, 'preterm2012');
+        assert.equal(selectGuideline(21), null);
+    });
+
+    test('uses the preferred dataset only when it covers the gestational age', () => {
+        assert.equal(selectGuideline(38, 'preterm2012').id, 'aap2022');
+        assert.equal(selectGuideline(30, 'preterm2012').id, 'preterm2012');
+        assert.equal(selectGuideline(38, 'missing').id, 'aap2022');
+    });
+});
+
+describe('registerGuideline', () => {
+    test('rejects invalid datasets with every problem in the message', () => {
+        const dataset = { ...readGuideline('aap-2022.json'), version: '', tiers: [] };
+        assert.throws(() => registerGuideline(dataset), /Invalid guideline dataset "aap2022": version .*; tiers/);
+    });
+
+    test('replaces a dataset registered under the same id', () => {
+        const local = { ...readGuideline('aap-2022.json'), name: 'Local protocol', version: '2025.2' };
+        registerGuideline(local);
+        assert.equal(selectGuideline(38).name, 'Local protocol');
+        clearGuidelines();
+        assert.deepEqual(getGuidelines(), []);
+        registerBundledGuidelines();
+        assert.equal(selectGuideline(38).version, '2022.1');
+    });
+});
+
+describe('getJaundiceGuideline', () => {
+    for (const { id, curves, riskGroups: riskKeys } of getGuidelines()) {
+        for (const [treatmentType, riskGroups] of Object.entries(curves)) {
+            for (const [riskKey, dataSet] of Object.entries(riskGroups)) {
+                const hasRiskFactor = riskKey === riskKeys.withRiskFactors;
+                for (const [ga, { points }] of Object.entries(dataSet).filter(([key]) => key !== 'range')) {
+                    test(`${id}: ${treatmentType}/${riskKey}/${ga} weeks matches every curve point`, () => {
+                        for (const [hours, bilirubin] of points) {
+                            const result = getJaundiceGuideline(treatmentType, hasRiskFactor, Number(ga), hours, 0);
+                            assert.equal(result.threshold, bilirubin, `at ${hours} h`);
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    test('interpolates linearly between curve points', () => {
+        // 38 weeks, no risk: [24, 12.1] -> [48, 16]
+        assert.equal(getJaundiceGuideline('phototherapy', false, 38, 36, 0).threshold, 14.05);
+    });
+
+    test('uses the oldest curve for gestational ages above the range', () => {
+        assert.equal(getJaundiceGuideline('exchange', false, 40, 48, 0).threshold, 24);
+        assert.equal(getJaundiceGuideline('phototherapy', true, 41, 24, 0).threshold, 10.5);
+    });
+
+    test('uses the preterm band that contains the gestational age', () => {
+        assert.equal(getJaundiceGuideline('phototherapy', true, 34, 24, 0).threshold, 12);
+        assert.equal(getJaundiceGuideline('phototherapy', false, 33, 24, 0).threshold, 12);
+        assert.equal(getJaundiceGuideline('exchange', false, 29, 100, 0).threshold, 14);
+        assert.equal(getJaundiceGuideline('phototherapy', true, 25, 6, 0).threshold, 5);
+    });
+
+    test('moves the preterm phototherapy threshold to the band of the postmenstrual age', () => {
+        // A 29 0/7 week infant uses the 30 week level from 7 days (Maisels 2012).
+        assert.equal(getJaundiceGuideline('phototherapy', false, 29, 167, 0).threshold, 8);
+        assert.equal(getJaundiceGuideline('phototherapy', false, 29, 168, 0).threshold, 10);
+        assert.equal(getJaundiceGuideline('phototherapy', false, 34, 200, 0).threshold, 14);
+        // The exchange level stays that of the gestational age at birth.
+        assert.equal(getJaundiceGuideline('exchange', false, 29, 200, 0).threshold, 14);
+        assert.deepEqual(getCurve('phototherapy', false, 27).points, [[0, 6], [168, 6], [168, 8], [336, 8]]);
+    });
+
+        test('rejects gestational ages below every dataset', () => {
+        assert.equal(getJaundiceGuideline('phototherapy', false, 21, 24, 0).error, 'error.gestationalAgeOutOfRange');
+    });
+
+    test('flags ages before the start of the curve', () => {
+        const result = getJaundiceGuideline('exchange', false, 38, 12, 0);
+        assert.equal(result.threshold, null);
+        assert.equal(result.error, 'error.ageBelowCurve');
+        assert.deepEqual(result.params, { ageInHours: 12, minAge: 24 });
+    });
+
+    test('does not extrapolate beyond the end of the curve', () => {
+        assert.equal(getJaundiceGuideline('phototherapy', false, 38, 336, 0).threshold, 21.8);
+        const result = getJaundiceGuideline('phototherapy', false, 38, 336.5, 0);
+        assert.equal(result.threshold, null);
+        assert.equal(result.error, 'error.ageAboveCurve');
+        assert.deepEqual(result.params, { ageInHours: 336.5, maxAge: 336 });
+    });
+
+    test('rejects unknown treatment types', () => {
+        assert.equal(getJaundiceGuideline('transfusion', false, 38, 48, 0).error, 'error.invalidTreatmentType');
+    });
+
+    test('reports whether the bilirubin reaches the threshold', () => {
+        assert.equal(getJaundiceGuideline('phototherapy', false, 38, 48, 16).needsAction, true);
+        assert.equal(getJaundiceGuideline('phototherapy', false, 38, 48, 15.9).needsAction, false);
+    });
+});
+
+describe('getBilirubinAlbuminRatioCutoff', () => {
+    test('uses the AAP 2022 exchange cut-offs by gestational age and risk group', () => {
+        assert.equal(getBilirubinAlbuminRatioCutoff(false, 38), 8);
+        assert.equal(getBilirubinAlbuminRatioCutoff(false, 41), 8);
+        assert.equal(getBilirubinAlbuminRatioCutoff(true, 38), 7.2);
+        assert.equal(getBilirubinAlbuminRatioCutoff(false, 37), 7.2);
+        assert.equal(getBilirubinAlbuminRatioCutoff(true, 35), 6.8);
+    });
+
+    test('is null for datasets without a ratio table', () => {
+        assert.equal(getBilirubinAlbuminRatioCutoff(false, 30), null);
+    });
+});
+
+describe('evaluateGuideline', () => {
+    // 38 weeks, no risk factors, 48 h: phototherapy 16, escalation 22, exchange 24.
+    const evaluate = (bilirubin, ageInHours = 48) => evaluateGuideline({ gestationalAge: 38, ageInHours, bilirubin, hasRiskFactors: false });
+
+    test('returns the three thresholds', () => {
+        assert.deepEqual(evaluate(10).thresholds, { phototherapy: 16, escalation: 22, exchange: 24 });
+    });
+
+    const boundaries = [
+        [24, TIERS.EXCHANGE],
+        [23.9, TIERS.ESCALATION],
+        [22, TIERS.ESCALATION],
+        [21.9, TIERS.ABOVE_THRESHOLD],
+        [16, TIERS.ABOVE_THRESHOLD],
+        [15.9, TIERS.NEAR_THRESHOLD],
+        [15.5, TIERS.NEAR_THRESHOLD],
+        [15.4, TIERS.DOUBLE_PHOTOTHERAPY],
+        [14, TIERS.DOUBLE_PHOTOTHERAPY],
+        [13.9, TIERS.SINGLE_PHOTOTHERAPY],
+        [13, TIERS.SINGLE_PHOTOTHERAPY],
+        [12.9, TIERS.FOLLOW_UP]
+    ];
+    for (const [bilirubin, tier] of boundaries) {
+        test(`TSB ${bilirubin} is tiered as ${tier}`, () => {
+            assert.equal(evaluate(bilirubin).tier, tier);
+        });
+    }
+
+    const followUps = [
+        [12.6, 48, { minHours: 4, maxHours: 24 }, 'followUp.tsbIn4To24Hours'],
+        [12.5, 48, { minHours: 24, maxHours: 48 }, 'followUp.tsbIn1To2Days'],
+        [10.6, 48, { minHours: 24, maxHours: 48 }, 'followUp.tsbIn1To2Days'],
+        [10.5, 48, { minHours: 0, maxHours: 48 }, 'followUp.within2Days'],
+        [9.1, 48, { minHours: 0, maxHours: 48 }, 'followUp.within2Days'],
+        [9, 48, { minHours: 0, maxHours: 72 }, 'followUp.within3Days'],
+        // 38 weeks, no risk factors, 96 h: phototherapy 20.7.
+        [15.3, 96, { minHours: 24, maxHours: 48 }, 'followUp.tsbIn1To2Days'],
+        [15, 96, null, 'followUp.clinicalJudgment'],
+        [10, 96, null, 'followUp.clinicalJudgment']
+    ];
+    for (const [bilirubin, ageInHours, followUp, detail] of followUps) {
+        test(`TSB ${bilirubin} at ${ageInHours} h follows up with ${detail}`, () => {
+            const result = evaluate(bilirubin, ageInHours);
+            assert.equal(result.tier, TIERS.FOLLOW_UP);
+            assert.deepEqual(result.followUp, followUp);
+            assert.equal(result.messages.detail, detail);
+        });
+    }
+
+    test('treatment tiers carry their recheck interval', () => {
+        assert.deepEqual(evaluate(22).followUp, { minHours: 8, maxHours: 8 });
+        assert.deepEqual(evaluate(15.5).followUp, { minHours: 8, maxHours: 8 });
+        assert.deepEqual(evaluate(14).followUp, { minHours: 12, maxHours: 12 });
+        assert.equal(evaluate(24).followUp, null);
+    });
+
+    test('maps tiers onto severities', () => {
+        assert.equal(evaluate(24).severity, 'high');
+        assert.equal(evaluate(22).severity, 'medium');
+        assert.equal(evaluate(16).severity, 'low');
+        assert.equal(evaluate(10).severity, 'none');
+    });
+
+    test('kernicterus signs override everything else', () => {
+        const result = evaluateGuideline({ gestationalAge: null, ageInHours: null, hasKernicterusSigns: true });
+        assert.equal(result.tier, TIERS.KERNICTERUS);
+        assert.equal(result.severity, 'high');
+        assert.equal(result.thresholds, null);
+    });
+
+    test('is incomplete without an age', () => {
+        assert.equal(evaluateGuideline({ gestationalAge: 38, ageInHours: null, bilirubin: 10 }).status, 'incomplete');
+    });
+
+    test('does not apply to infants younger than 24 hours', () => {
+        const result = evaluate(10, 23);
+        assert.equal(result.status, 'notApplicable');
+        assert.equal(result.messages.title, 'notice.belowMinimumAge');
+        assert.deepEqual(result.messages.params, { minAgeHours: 24 });
+    });
+
+    test('gives the thresholds but no tier for an empty TSB', () => {
+        const result = evaluate(null);
+        assert.equal(result.status, 'incomplete');
+        assert.equal(result.tier, null);
+        assert.equal(result.followUp, null);
+        assert.equal(result.difference, null);
+        assert.deepEqual(result.thresholds, { phototherapy: 16, escalation: 22, exchange: 24 });
+    });
+
+    test('gives no recommendation beyond the end of the curve', () => {
+        const result = evaluate(15, 340);
+        assert.equal(result.status, 'error');
+        assert.equal(result.tier, null);
+        assert.equal(result.messages.title, 'error.ageAboveCurve');
+    });
+
+    test('reports gestational ages without a curve as errors', () => {
+        const result = evaluateGuideline({ gestationalAge: 21, ageInHours: 48, bilirubin: 10, hasRiskFactors: true });
+        assert.equal(result.status, 'error');
+        assert.equal(result.guideline, null);
+        assert.equal(result.messages.title, 'error.gestationalAgeOutOfRange');
+    });
+
+    test('names the dataset and version that produced the result', () => {
+        assert.deepEqual(evaluate(10).guideline, { id: 'aap2022', name: 'AAP 2022', version: '2022.1' });
+    });
+
+    test('computes the bilirubin/albumin ratio when albumin is known', () => {
+        const result = evaluateGuideline({ gestationalAge: 38, ageInHours: 48, bilirubin: 18, albumin: 3, hasRiskFactors: false });
+        assert.deepEqual(result.bilirubinAlbuminRatio, { value: 6, cutoffs: { exchange: 8 } });
+        assert.equal(result.messages.params.ratio, 6);
+        assert.equal(evaluate(18).bilirubinAlbuminRatio, null);
+    });
+
+    test('recommends exchange from escalation when the ratio reaches the cut-off', () => {
+        // TSB 22 is at the escalation threshold; 22 / 2.75 = 8.
+        const result = evaluateGuideline({ gestationalAge: 38, ageInHours: 48, bilirubin: 22, albumin: 2.75, hasRiskFactors: false });
+        assert.equal(result.tier, TIERS.EXCHANGE);
+        assert.equal(result.messages.title, 'recommendation.exchangeByRatio.title');
+        assert.deepEqual(result.messages.params, { difference: -6, ratio: 8, ratioCutoff: 8 });
+    });
+
+    test('keeps the TSB tier when the ratio is below the cut-off or TSB is below escalation', () => {
+        assert.equal(evaluateGuideline({ gestationalAge: 38, ageInHours: 48, bilirubin: 22, albumin: 2.8, hasRiskFactors: false }).tier, TIERS.ESCALATION);
+        assert.equal(evaluateGuideline({ gestationalAge: 38, ageInHours: 48, bilirubin: 21.9, albumin: 2, hasRiskFactors: false }).tier, TIERS.ABOVE_THRESHOLD);
+    });
+
+    test('applies the preterm thresholds from birth', () => {
+        // 30 weeks, with risk factors: phototherapy 8, exchange 13. Maisels 2012 defines no escalation threshold.
+        const result = evaluateGuideline({ gestationalAge: 30, ageInHours: 12, bilirubin: 8, hasRiskFactors: true });
+        assert.equal(result.status, 'ok');
+        assert.equal(result.guideline.id, 'preterm2012');
+        assert.deepEqual(result.thresholds, { phototherapy: 8, escalation: null, exchange: 13 });
+        assert.equal(result.tier, TIERS.PHOTOTHERAPY);
+    });
+
+    test('uses only the preterm operating thresholds, without follow-up intervals', () => {
+        // 30 weeks, with risk factors: phototherapy 8, exchange 13.
+        const preterm = (bilirubin) => evaluateGuideline({ gestationalAge: 30, ageInHours: 80, bilirubin, hasRiskFactors: true });
+        assert.equal(preterm(13).tier, TIERS.EXCHANGE);
+        assert.equal(preterm(12).tier, TIERS.PHOTOTHERAPY);
+        assert.equal(preterm(7.9).tier, TIERS.FOLLOW_UP);
+        assert.equal(preterm(7.9).followUp, null);
+        assert.equal(preterm(7.9).messages.detail, 'recommendation.preterm.recheck');
+    });
+
+    describe('TcB screening', () => {
+        const evaluateTcb = (bilirubin, ageInHours = 48, albumin = null) =>
+            evaluateGuideline({ gestationalAge: 38, ageInHours, bilirubin, source: 'TcB', albumin, hasRiskFactors: false });
+
+        test('asks for a confirmatory TSB within 3 mg/dL of the phototherapy threshold', () => {
+            const result = evaluateTcb(13);
+            assert.equal(result.tier, TIERS.CONFIRM_TSB);
+            assert.equal(result.severity, 'medium');
+            assert.equal(result.messages.title, 'recommendation.confirmTsb.title');
+            assert.deepEqual(result.messages.params, { difference: 3, margin: 3, limit: 15 });
+            assert.deepEqual(result.thresholds, { phototherapy: 16, escalation: 22, exchange: 24 });
+            assert.equal(evaluateTcb(25).tier, TIERS.CONFIRM_TSB);
+        });
+
+        test('keeps the urgency of the tier a TcB at or above the escalation and exchange thresholds falls in', () => {
+            // 22 is the escalation threshold and 24 the exchange threshold at 48 h.
+            const escalation = evaluateTcb(22);
+            assert.equal(escalation.tier, TIERS.CONFIRM_TSB);
+            assert.equal(escalation.underlyingTier, TIERS.ESCALATION);
+            assert.equal(escalation.severity, 'medium');
+            const exchange = evaluateTcb(26);
+            assert.equal(exchange.tier, TIERS.CONFIRM_TSB);
+            assert.equal(exchange.underlyingTier, TIERS.EXCHANGE);
+            assert.equal(exchange.severity, 'high');
+            assert.equal(evaluateTcb(13).underlyingTier, TIERS.SINGLE_PHOTOTHERAPY);
+        });
+
+        test('asks for a confirmatory TSB above 15 mg/dL even far below the threshold', () => {
+            // The phototherapy threshold is 20.7 at 96 h.
+            assert.equal(evaluateTcb(15.1, 96).tier, TIERS.CONFIRM_TSB);
+            assert.equal(evaluateTcb(15, 96).tier, evaluate(15, 96).tier);
+        });
+
+        test('changes the result when the same value is switched between TSB and TcB', () => {
+            const tsb = evaluateGuideline({ gestationalAge: 38, ageInHours: 48, bilirubin: 14, source: 'TSB', hasRiskFactors: false });
+            const tcb = evaluateGuideline({ gestationalAge: 38, ageInHours: 48, bilirubin: 14, source: 'TcB', hasRiskFactors: false });
+            assert.equal(tsb.tier, TIERS.DOUBLE_PHOTOTHERAPY);
+            assert.equal(tcb.tier, TIERS.CONFIRM_TSB);
+            assert.notEqual(tcb.messages.title, tsb.messages.title);
+        });
+
+        test('tiers a TcB clear of both limits like a TSB', () => {
+            assert.equal(evaluateTcb(12.9).tier, TIERS.FOLLOW_UP);
+            assert.equal(evaluate(13).tier, TIERS.SINGLE_PHOTOTHERAPY);
+        });
+
+        test('does not compute the bilirubin/albumin ratio from a TcB', () => {
+            assert.equal(evaluateTcb(10, 48, 3).bilirubinAlbuminRatio, null);
+        });
+    });
+});
@@ -0,0 +1,22 @@
+import { readFileSync } from 'node:fs';
+import { registerGuideline } from '../js/guideline.js';
+
+const guidelinesDir = new URL('../guidelines/', import.meta.url);
+
+/**
+ * Reads a bundled guideline dataset from the guidelines/ directory.
+ * @param {string} file - The file name, as listed in guidelines/index.json.
+ * @returns {object} The parsed dataset.
+ */
+export function readGuideline(file) {
+    return JSON.parse(readFileSync(new URL(file, guidelinesDir), 'utf8'));
+}
+
+/**
+ * Registers every bundled dataset in the order of guidelines/index.json, like the page does.
+ * @returns {object[]} The registered datasets.
+ */
+export function registerBundledGuidelines() {
+    const files = JSON.parse(readFileSync(new URL('index.json', guidelinesDir), 'utf8'));
+    return files.map(file => registerGuideline(readGuideline(file)));
+}
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCALES, MESSAGES, formatNumber, translate } from '../js/i18n.js';
+import { readGuideline } from './helpers.js';
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+describe('MESSAGES', () => {
+    test('has a catalog for every locale', () => {
+        assert.deepEqual(Object.keys(MESSAGES).sort(), Object.keys(LOCALES).sort());
+    });
+
+    test('defines the same keys with the same placeholders in every locale', () => {
+        const keys = Object.keys(MESSAGES.fa).sort();
+        for (const locale of Object.keys(LOCALES)) {
+            assert.deepEqual(Object.keys(MESSAGES[locale]).sort(), keys, locale);
+            for (const key of keys) {
+                assert.deepEqual(placeholders(MESSAGES[locale][key]), placeholders(MESSAGES.fa[key]), `${locale} ${key}`);
+            }
+        }
+    });
+
+    test('translates every message key of the bundled guidelines', () => {
+        for (const file of ['aap-2022.json', 'preterm-2012.json']) {
+            for (const rule of readGuideline(file).tiers) {
+                for (const key of [rule.messages.title, ...(rule.messages.items || []), rule.messages.detail].filter(Boolean)) {
+                    assert.ok(key in MESSAGES.fa && key in MESSAGES.en, `${file}: ${key}`);
+                }
+                assert.ok(`tier.${rule.tier}` in MESSAGES.en, `${file}: tier.${rule.tier}`);
+            }
+        }
+    });
+});
+
+describe('formatNumber', () => {
+    test('uses Persian digits and decimal separator in Persian', () => {
+        assert.equal(formatNumber(12.5, 'fa'), '۱۲٫۵');
+    });
+
+    test('keeps Latin digits in English', () => {
+        assert.equal(formatNumber(12.5, 'en'), '12.5');
+    });
+
+    test('shows a hyphen for missing values', () => {
+        assert.equal(formatNumber(null, 'en'), '-');
+    });
+});
+
+describe('translate', () => {
+    test('fills in placeholders with numbers formatted for the locale', () => {
+        assert.equal(translate('notice.belowMinimumAge', { minAgeHours: 24 }, 'en'), 'This guideline does not apply to infants younger than 24 hours.');
+        assert.equal(translate('age.display', { days: 1, hours: 2, minutes: 5 }, 'fa'), '۱ روز و ۲ ساعت و ۵ دقیقه');
+    });
+
+    test('keeps string placeholders such as file names and versions as they are', () => {
+        assert.equal(translate('guideline.label', { name: 'AAP 2022', version: '2022.1' }, 'fa'), 'گایدلاین: AAP 2022 (نسخه 2022.1)');
+        assert.match(translate('guideline.loadError', { file: 'aap-2022.json', reason: 'HTTP 404' }, 'fa'), /aap-2022\.json: HTTP 404$/);
+    });
+
+    test('falls back to the key for unknown messages', () => {
+        assert.equal(translate('no.such.key', {}, 'en'), 'no.such.key');
+    });
+});
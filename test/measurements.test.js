@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TIERS } from '../js/guideline.js';
+import { createMeasurement, getRateOfRise, getRapidRiseThreshold, analyzeMeasurements } from '../js/measurements.js';
+import { registerBundledGuidelines } from './helpers.js';
+
+registerBundledGuidelines();
+
+const HOUR = 1000 * 60 * 60;
+const birthTime = Date.UTC(2025, 0, 1, 8);
+const at = (hours, value, source = 'TSB') => createMeasurement({ time: birthTime + hours * HOUR, value, source });
+const patient = { birthTime, gestationalAge: 38, hasRiskFactors: false };
+
+describe('createMeasurement', () => {
+    test('keeps the time, value and source', () => {
+        const entry = at(30, 9.5, 'TcB');
+        assert.equal(entry.time, birthTime + 30 * HOUR);
+        assert.equal(entry.value, 9.5);
+        assert.equal(entry.source, 'TcB');
+        assert.ok(entry.id);
+    });
+
+    test('rejects unknown sources', () => {
+        assert.throws(() => createMeasurement({ time: birthTime, value: 5, source: 'serum' }));
+    });
+});
+
+describe('getRateOfRise', () => {
+    test('returns mg/dL per hour between two entries', () => {
+        assert.equal(getRateOfRise(at(24, 8), at(36, 11)), 0.25);
+    });
+
+    test('returns a negative rate for falling values', () => {
+        assert.equal(getRateOfRise(at(48, 15), at(56, 13)), -0.25);
+    });
+
+    test('returns null for entries taken at the same time', () => {
+        assert.equal(getRateOfRise(at(24, 8), at(24, 9)), null);
+    });
+});
+
+describe('getRapidRiseThreshold', () => {
+    test('uses 0.3 in the first 24 hours and 0.2 afterwards', () => {
+        assert.equal(getRapidRiseThreshold(20), 0.3);
+        assert.equal(getRapidRiseThreshold(24), 0.3);
+        assert.equal(getRapidRiseThreshold(25), 0.2);
+    });
+});
+
+describe('analyzeMeasurements', () => {
+    test('sorts entries by time and evaluates each one', () => {
+        const entries = analyzeMeasurements([at(48, 16), at(30, 9)], patient);
+        assert.deepEqual(entries.map(entry => entry.ageInHours), [30, 48]);
+        assert.equal(entries[1].result.tier, TIERS.ABOVE_THRESHOLD);
+        assert.equal(entries[0].rateOfRise, null);
+        assert.equal(entries[0].isRapidRise, false);
+    });
+
+    test('evaluates each entry as its source', () => {
+        const [tcb, tsb] = analyzeMeasurements([at(48, 14, 'TcB'), at(50, 14)], patient);
+        assert.equal(tcb.result.tier, TIERS.CONFIRM_TSB);
+        assert.notEqual(tsb.result.tier, TIERS.CONFIRM_TSB);
+    });
+
+    test('keeps the age to the minute', () => {
+        const [entry] = analyzeMeasurements([at(24 + 10 / 60, 9)], patient);
+        assert.equal(entry.ageInHours, 24 + 10 / 60);
+    });
+
+    test('flags a rise of 0.3 mg/dL/h in the first 24 hours', () => {
+        const [, second] = analyzeMeasurements([at(12, 4), at(22, 7)], patient);
+        assert.equal(second.rateOfRise, 0.3);
+        assert.equal(second.isRapidRise, true);
+    });
+
+    test('does not flag 0.25 mg/dL/h in the first 24 hours', () => {
+        const [, second] = analyzeMeasurements([at(12, 4), at(20, 6)], patient);
+        assert.equal(second.isRapidRise, false);
+    });
+
+    test('flags a rise of 0.2 mg/dL/h after the first 24 hours', () => {
+        const [, second] = analyzeMeasurements([at(36, 10), at(46, 12)], patient);
+        assert.equal(second.rapidRiseThreshold, 0.2);
+        assert.equal(second.isRapidRise, true);
+    });
+
+    test('does not flag falling values', () => {
+        const [, second] = analyzeMeasurements([at(60, 18), at(72, 14)], patient);
+        assert.equal(second.isRapidRise, false);
+    });
+});
@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHART, getNomogramSeries, createScales, buildNomogramSvg } from '../js/nomogram.js';
+import { registerBundledGuidelines } from './helpers.js';
+
+const [aap] = registerBundledGuidelines();
+
+describe('getNomogramSeries', () => {
+    test('returns the curves of the gestational age and risk group', () => {
+        const series = getNomogramSeries(37, true);
+        assert.deepEqual(series.phototherapy, aap.curves.phototherapy.withRisk['37'].points);
+        assert.deepEqual(series.exchange, aap.curves.exchange.withRisk['37'].points);
+    });
+
+    test('derives the escalation curve from the exchange curve', () => {
+        const series = getNomogramSeries(38, false);
+        assert.deepEqual(series.escalation[0], [24, 19.4]);
+        assert.equal(series.escalation.length, series.exchange.length);
+    });
+
+    test('has no escalation curve for a dataset without an escalation threshold', () => {
+        const series = getNomogramSeries(30, false);
+        assert.equal(series.escalation, null);
+        const svg = buildNomogramSvg({ series, labels: { escalation: 'Escalation', exchange: 'Exchange' } });
+        assert.doesNotMatch(svg, /nomogram-escalation/);
+        assert.match(svg, /nomogram-exchange/);
+    });
+
+    test('returns null when there is no curve', () => {
+        assert.equal(getNomogramSeries(21, false), null);
+    });
+});
+
+describe('createScales', () => {
+    test('maps the chart corners onto the plot area', () => {
+        const { x, y } = createScales(336, 30);
+        assert.equal(x(0), CHART.padding.left);
+        assert.equal(x(336), CHART.width - CHART.padding.right);
+        assert.equal(y(0), CHART.height - CHART.padding.bottom);
+        assert.equal(y(30), CHART.padding.top);
+    });
+});
+
+describe('buildNomogramSvg', () => {
+    const series = getNomogramSeries(38, false);
+
+    test('draws the three curves', () => {
+        const svg = buildNomogramSvg({ series });
+        for (const name of ['phototherapy', 'escalation', 'exchange']) {
+            assert.match(svg, new RegExp(`class="nomogram-curve nomogram-${name}"`));
+        }
+    });
+
+    test('plots the patient values with a trend line', () => {
+        const svg = buildNomogramSvg({
+            series,
+            measurements: [
+                { ageInHours: 24, value: 8, source: 'TcB', label: '24 h' },
+                { ageInHours: 48, value: 12, source: 'TSB', label: '48 h' }
+            ]
+        });
+        assert.equal(svg.match(/<circle/g).length, 2);
+        assert.match(svg, /nomogram-point-tcb/);
+        assert.match(svg, /<polyline class="nomogram-trend"/);
+        assert.match(svg, /<title>48 h<\/title>/);
+    });
+
+    test('leaves out values beyond the visible age range', () => {
+        const svg = buildNomogramSvg({ series, maxHours: 96, measurements: [{ ageInHours: 120, value: 15, source: 'TSB' }] });
+        assert.doesNotMatch(svg, /<circle/);
+    });
+
+    test('extends the bilirubin axis for values above the default maximum', () => {
+        const svg = buildNomogramSvg({ series, measurements: [{ ageInHours: 72, value: 32, source: 'TSB' }] });
+        assert.match(svg, />35<\/text>/);
+    });
+
+    test('draws the bilirubin axis in the given range and step', () => {
+        const svg = buildNomogramSvg({ series, maxBilirubin: 500, bilirubinStep: 100 });
+        assert.match(svg, />500<\/text>/);
+        assert.doesNotMatch(svg, />5<\/text>/);
+    });
+
+    test('escapes label text', () => {
+        const svg = buildNomogramSvg({ series, labels: { phototherapy: 'a < b' } });
+        assert.match(svg, /a &lt; b/);
+    });
+});
@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TIERS } from '../js/guideline.js';
+import { createMeasurement } from '../js/measurements.js';
+import { createPatientRecord, summarizePatient, sortByUrgency } from '../js/patients.js';
+import { registerBundledGuidelines } from './helpers.js';
+
+registerBundledGuidelines();
+
+const HOUR = 1000 * 60 * 60;
+const birthTime = Date.UTC(2025, 0, 1, 8);
+const at = (hours, value, source = 'TSB') => createMeasurement({ time: birthTime + hours * HOUR, value, source });
+const patient = (label, fields = {}) => createPatientRecord({ label, birthTime, gestationalAge: 38, ...fields });
+
+describe('createPatientRecord', () => {
+    test('keeps the patient fields and trims the label', () => {
+        const record = patient('  Bed 4 ', { riskFindings: { sepsis: true }, measurements: [at(30, 9)] });
+        assert.equal(record.label, 'Bed 4');
+        assert.equal(record.birthTime, birthTime);
+        assert.deepEqual(record.riskFindings, { sepsis: true });
+        assert.equal(record.measurements.length, 1);
+        assert.ok(record.id);
+    });
+
+    test('keeps the id of an existing record', () => {
+        assert.equal(patient('Bed 4', { id: 'abc' }).id, 'abc');
+    });
+
+    test('rejects records without a label or birth time', () => {
+        assert.throws(() => patient('  '), /name or bed label/);
+        assert.throws(() => createPatientRecord({ label: 'Bed 4', birthTime: null, gestationalAge: 38 }), /birth time/);
+    });
+});
+
+describe('summarizePatient', () => {
+    test('evaluates the latest measurement', () => {
+        const summary = summarizePatient(patient('Bed 4', { measurements: [at(48, 16), at(30, 9)] }));
+        assert.equal(summary.latest.value, 16);
+        assert.equal(summary.tier, TIERS.ABOVE_THRESHOLD);
+    });
+
+    test('uses the "with risk factors" curves for the ticked findings', () => {
+        // 38 weeks at 48 h: 16 without risk factors, 13.3 with them
+        const withoutRisk = summarizePatient(patient('A', { measurements: [at(48, 14)] }));
+        const withRisk = summarizePatient(patient('B', { riskFindings: { sepsis: true }, measurements: [at(48, 14)] }));
+        assert.notEqual(withoutRisk.tier, TIERS.ABOVE_THRESHOLD);
+        assert.equal(withRisk.tier, TIERS.ABOVE_THRESHOLD);
+    });
+
+    test('has no tier without measurements, unless kernicterus signs are present', () => {
+        assert.equal(summarizePatient(patient('A')).tier, null);
+        assert.equal(summarizePatient(patient('A', { hasKernicterusSigns: true })).tier, TIERS.KERNICTERUS);
+    });
+});
+
+describe('sortByUrgency', () => {
+    test('lists the most urgent patients first, then by label', () => {
+        const records = [
+            patient('Bed 3'),
+            patient('Bed 2', { measurements: [at(48, 8)] }),
+            patient('Bed 5', { measurements: [at(48, 25)] }),
+            patient('Bed 1', { measurements: [at(48, 8)] })
+        ];
+        assert.deepEqual(sortByUrgency(records).map(({ record }) => record.label), ['Bed 5', 'Bed 1', 'Bed 2', 'Bed 3']);
+    });
+
+    test('ranks a TcB awaiting confirmation by the tier its value falls in', () => {
+        // 38 weeks at 48 h: phototherapy 16, exchange 24.
+        const records = [
+            patient('Bed 1', { measurements: [at(48, 16.1)] }),
+            patient('Bed 2', { measurements: [at(48, 26, 'TcB')] }),
+            patient('Bed 3', { measurements: [at(48, 14, 'TcB')] }),
+            patient('Bed 4', { measurements: [at(48, 8)] })
+        ];
+        assert.deepEqual(sortByUrgency(records).map(({ record }) => record.label), ['Bed 2', 'Bed 1', 'Bed 3', 'Bed 4']);
+    });
+});
@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPhototherapy, hasReboundRisk, evaluatePhototherapy, getReboundCheck } from '../js/phototherapy.js';
+import { registerBundledGuidelines } from './helpers.js';
+
+registerBundledGuidelines();
+
+const HOUR = 1000 * 60 * 60;
+const birthTime = Date.UTC(2025, 0, 1, 8);
+
+describe('startPhototherapy', () => {
+    test('records the age and the phototherapy threshold at initiation', () => {
+        // 38 weeks, no risk factors: [48, 16] -> [60, 17.5]
+        const course = startPhototherapy({ startTime: birthTime + 60 * HOUR, birthTime, gestationalAge: 38, hasRiskFactors: false });
+        assert.equal(course.ageAtStartHours, 60);
+        assert.equal(course.thresholdAtStart, 17.5);
+        assert.equal(course.error, undefined);
+    });
+
+    test('reports gestational ages without a curve', () => {
+        const course = startPhototherapy({ startTime: birthTime + 60 * HOUR, birthTime, gestationalAge: 21, hasRiskFactors: false });
+        assert.equal(course.thresholdAtStart, null);
+        assert.equal(course.error, 'error.gestationalAgeOutOfRange');
+    });
+});
+
+describe('hasReboundRisk', () => {
+    test('is raised by an early start, a gestational age below 38 weeks or risk factors', () => {
+        assert.equal(hasReboundRisk({ ageAtStartHours: 60, gestationalAge: 39, hasRiskFactors: false }), false);
+        assert.equal(hasReboundRisk({ ageAtStartHours: 47, gestationalAge: 39, hasRiskFactors: false }), true);
+        assert.equal(hasReboundRisk({ ageAtStartHours: 60, gestationalAge: 37, hasRiskFactors: false }), true);
+        assert.equal(hasReboundRisk({ ageAtStartHours: 60, gestationalAge: 39, hasRiskFactors: true }), true);
+    });
+});
+
+describe('evaluatePhototherapy', () => {
+    const course = { ageAtStartHours: 60, thresholdAtStart: 17.5 };
+    const patient = { gestationalAge: 39, hasRiskFactors: false };
+
+    test('continues until TSB is 2 mg/dL below the threshold at initiation', () => {
+        const result = evaluatePhototherapy(course, 15.6, patient);
+        assert.equal(result.decision, 'continue');
+        assert.equal(result.stopBelow, 15.5);
+        assert.equal(result.messages.title, 'phototherapy.continue.title');
+    });
+
+    test('stops once TSB reaches the discontinuation value', () => {
+        assert.equal(evaluatePhototherapy(course, 15.5, patient).decision, 'stop');
+    });
+
+    test('requires a 4 mg/dL fall for infants at higher rebound risk', () => {
+        const result = evaluatePhototherapy(course, 15, { gestationalAge: 37, hasRiskFactors: false });
+        assert.equal(result.reboundRisk, true);
+        assert.equal(result.stopBelow, 13.5);
+        assert.equal(result.decision, 'continue');
+    });
+});
+
+describe('getReboundCheck', () => {
+    const stopTime = birthTime + 96 * HOUR;
+
+    test('checks 6–12 hours after stopping and the next day for higher rebound risk', () => {
+        const check = getReboundCheck(stopTime, true);
+        assert.equal(check.earliestTime, stopTime + 6 * HOUR);
+        assert.equal(check.latestTime, stopTime + 12 * HOUR);
+        assert.equal(check.repeatNextDay, true);
+        assert.equal(check.messageKey, 'phototherapy.rebound.highRisk');
+    });
+
+    test('checks 24–48 hours after stopping otherwise', () => {
+        const check = getReboundCheck(stopTime, false);
+        assert.deepEqual([check.minHours, check.maxHours], [24, 48]);
+        assert.equal(check.repeatNextDay, false);
+    });
+});
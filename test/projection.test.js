@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPercentileTrack, projectTimeToThreshold, NEXT_SAMPLE_HOURS } from '../js/projection.js';
+import { registerBundledGuidelines } from './helpers.js';
+
+registerBundledGuidelines();
+
+const HOUR = 1000 * 60 * 60;
+const birthTime = Date.UTC(2025, 0, 1, 8);
+// 38 weeks, no risk factors: [48, 16] -> [60, 17.5] -> [96, 20.7]
+const patient = { birthTime, gestationalAge: 38, hasRiskFactors: false };
+const at = (ageInHours, value) => ({ time: birthTime + ageInHours * HOUR, value });
+
+describe('getPercentileTrack', () => {
+    test('follows a percentile curve the value lies on', () => {
+        assert.equal(getPercentileTrack(24, 6.5)(48), 11.5);
+    });
+
+    test('keeps the position between the neighbouring percentile curves', () => {
+        // Halfway between the 40th (5) and 75th (6.5) percentile at 24 h.
+        assert.equal(getPercentileTrack(24, 5.75)(48), 10);
+    });
+
+    test('scales the outermost curve for values outside the tracks', () => {
+        assert.equal(getPercentileTrack(24, 2.5)(48), 4.25);
+        assert.equal(getPercentileTrack(24, 16)(48), 30);
+    });
+});
+
+describe('projectTimeToThreshold', () => {
+    test('extends the rate of rise between the last two values to the phototherapy curve', () => {
+        const projection = projectTimeToThreshold({ ...patient, values: [at(48, 13), at(36, 10)] });
+        assert.equal(projection.method, 'rate');
+        assert.equal(projection.rate, 0.25);
+        // 16 at 60 h, then 1.5 mg/dL below a curve rising by 0.089 mg/dL per hour: about 69.3 h.
+        assert.ok(Math.abs(projection.crossingAgeHours - 69.3) <= 0.25);
+        assert.equal(projection.crossingTime, birthTime + projection.crossingAgeHours * HOUR);
+    });
+
+    test('recommends the next sample halfway to the crossing', () => {
+        const projection = projectTimeToThreshold({ ...patient, values: [at(36, 10), at(48, 13)] });
+        const halfway = 48 + (projection.crossingAgeHours - 48) / 2;
+        assert.equal(projection.nextSampleAgeHours, halfway);
+    });
+
+    test('never recommends the next sample after a close crossing', () => {
+        const projection = projectTimeToThreshold({ ...patient, values: [at(46, 14), at(48, 15.5)] });
+        assert.ok(projection.crossingAgeHours - 48 < NEXT_SAMPLE_HOURS.min);
+        assert.equal(projection.nextSampleTime, projection.crossingTime);
+    });
+
+    test('projects no crossing for a falling value and samples at the end of the follow-up window', () => {
+        const values = [at(48, 13), at(60, 12)];
+        const projection = projectTimeToThreshold({ ...patient, values });
+        assert.equal(projection.crossingAgeHours, null);
+        assert.equal(projection.crossingTime, null);
+        assert.equal(projection.nextSampleAgeHours, 60 + NEXT_SAMPLE_HOURS.max);
+
+        const withFollowUp = projectTimeToThreshold({ ...patient, values, followUp: { minHours: 12, maxHours: 24 } });
+        assert.equal(withFollowUp.nextSampleAgeHours, 84);
+    });
+
+    test('follows the percentile track of a single value', () => {
+        const projection = projectTimeToThreshold({ ...patient, values: [at(24, 11)] });
+        assert.equal(projection.method, 'percentile');
+        assert.equal(projection.rate, null);
+        // Above the 95th percentile (8 at 24 h), the track crosses the curve before 36 h.
+        assert.ok(projection.crossingAgeHours > 24 && projection.crossingAgeHours < 36);
+    });
+
+    test('projects no crossing for a single value on a low percentile', () => {
+        const projection = projectTimeToThreshold({ ...patient, values: [at(48, 8.5)] });
+        assert.equal(projection.crossingAgeHours, null);
+        assert.equal(projection.horizonHours, 336);
+    });
+
+    test('does not follow a percentile track for a single preterm value', () => {
+        // 30 weeks is assessed with the preterm thresholds, and the Bhutani tracks start at 35 weeks.
+        const preterm = { ...patient, gestationalAge: 30 };
+        assert.equal(projectTimeToThreshold({ ...preterm, values: [at(48, 5)] }), null);
+        const projection = projectTimeToThreshold({ ...preterm, values: [at(36, 4), at(48, 5)] });
+        assert.equal(projection.method, 'rate');
+    });
+
+    test('returns null at or above the threshold', () => {
+        assert.equal(projectTimeToThreshold({ ...patient, values: [at(48, 16)] }), null);
+        assert.equal(projectTimeToThreshold({ ...patient, values: [at(36, 14), at(48, 17)] }), null);
+    });
+
+    test('returns null without values or without a curve for the gestational age', () => {
+        assert.equal(projectTimeToThreshold({ ...patient, values: [] }), null);
+        assert.equal(projectTimeToThreshold({ ...patient, gestationalAge: 21, values: [at(48, 10)] }), null);
+    });
+});
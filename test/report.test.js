@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGuideline } from '../js/guideline.js';
+import { buildReport, toCsv, toFhirBundle, LOINC_CODES } from '../js/report.js';
+import { registerBundledGuidelines } from './helpers.js';
+
+registerBundledGuidelines();
+
+const HOUR = 1000 * 60 * 60;
+const birthTime = Date.UTC(2025, 0, 1, 8, 55);
+const makeReport = (fields = {}) => {
+    const input = { gestationalAge: 38, ageInHours: 48, bilirubin: 17, hasRiskFactors: false, ...fields };
+    return buildReport({
+        patient: { label: 'Bed 4, "twin A"', id: 'abc' },
+        birthTime,
+        sampleTime: birthTime + input.ageInHours * HOUR,
+        ageInHours: input.ageInHours,
+        gestationalAge: input.gestationalAge,
+        gestationalAgeDays: 2,
+        riskFactors: fields.riskFactors || [],
+        bilirubin: input.bilirubin,
+        source: fields.source || 'TSB',
+        result: evaluateGuideline(input),
+        generatedAt: Date.UTC(2025, 0, 3, 10)
+    });
+};
+let counter = 0;
+const newId = () => `id-${++counter}`;
+
+describe('buildReport', () => {
+    test('collects the patient, times, inputs and result', () => {
+        const report = makeReport();
+        assert.deepEqual(report.patient, { label: 'Bed 4, "twin A"', id: 'abc' });
+        assert.equal(report.birthTime, '2025-01-01T08:55:00.000Z');
+        assert.equal(report.sampleTime, '2025-01-03T08:55:00.000Z');
+        assert.equal(report.ageInHours, 48);
+        assert.deepEqual(report.gestationalAge, { weeks: 38, days: 2 });
+        assert.deepEqual(report.bilirubin, { value: 17, unit: 'mg/dL', source: 'TSB' });
+        assert.deepEqual(report.thresholds, { phototherapy: 16, escalation: 22, exchange: 24, unit: 'mg/dL' });
+        assert.equal(report.tier, 'aboveThreshold');
+        assert.equal(report.guideline.version, '2022.1');
+        assert.equal(report.generatedAt, '2025-01-03T10:00:00.000Z');
+    });
+
+    test('pairs a TcB near the threshold with the confirmation tier, not a treatment tier', () => {
+        const report = makeReport({ source: 'TcB' });
+        assert.equal(report.bilirubin.source, 'TcB');
+        assert.equal(report.tier, 'confirmTsb');
+    });
+});
+
+describe('toCsv', () => {
+    test('writes a header and one quoted row', () => {
+        const [header, row] = toCsv(makeReport({ riskFactors: ['sepsis', 'g6pdDeficiency'] })).trim().split('\r\n');
+        assert.ok(header.startsWith('patient,birth_time,sample_time,age_hours,ga_weeks,ga_days,risk_factors,bilirubin_mg_dl'));
+        assert.ok(row.startsWith('"Bed 4, ""twin A""",2025-01-01T08:55:00.000Z,2025-01-03T08:55:00.000Z,48,38,2,sepsis;g6pdDeficiency,17,TSB,16,22,24,aboveThreshold,AAP 2022,2022.1,'));
+        assert.equal(header.split(',').length, 16);
+    });
+});
+
+describe('toFhirBundle', () => {
+    test('holds a bilirubin Observation and a RiskAssessment based on it', () => {
+        const bundle = toFhirBundle(makeReport(), { newId });
+        assert.equal(bundle.resourceType, 'Bundle');
+        assert.equal(bundle.type, 'collection');
+        const [observationEntry, riskEntry] = bundle.entry;
+        const observation = observationEntry.resource;
+        assert.equal(observation.resourceType, 'Observation');
+        assert.equal(observation.code.coding[0].code, LOINC_CODES.TSB.code);
+        assert.deepEqual(observation.valueQuantity, { value: 17, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' });
+        assert.equal(observation.effectiveDateTime, '2025-01-03T08:55:00.000Z');
+        assert.deepEqual(observation.referenceRange.map(range => range.high.value), [16, 22, 24]);
+        assert.equal(observation.component[0].valueQuantity.value, 48);
+
+        const riskAssessment = riskEntry.resource;
+        assert.equal(riskAssessment.resourceType, 'RiskAssessment');
+        assert.deepEqual(riskAssessment.basis, [{ reference: observationEntry.fullUrl }]);
+        assert.equal(riskAssessment.prediction[0].outcome.text, 'Intensive phototherapy');
+        assert.equal(riskAssessment.prediction[0].qualitativeRisk.coding[0].code, 'low');
+        assert.equal(riskAssessment.method.text, 'AAP 2022 (2022.1)');
+    });
+
+    test('leaves out a threshold the guideline does not define', () => {
+        const bundle = toFhirBundle(makeReport({ gestationalAge: 30, bilirubin: 9 }), { newId });
+        assert.deepEqual(bundle.entry[0].resource.referenceRange.map(range => range.high.value), [10, 16]);
+    });
+
+    test('codes transcutaneous values with their own LOINC code', () => {
+        const bundle = toFhirBundle(makeReport({ source: 'TcB' }), { newId });
+        assert.equal(bundle.entry[0].resource.code.coding[0].code, LOINC_CODES.TcB.code);
+    });
+
+    test('lists the risk factors in English', () => {
+        const bundle = toFhirBundle(makeReport({ riskFactors: ['sepsis'] }), { newId });
+        assert.match(bundle.entry[0].resource.note[0].text, /Risk factors: sepsis\./);
+    });
+
+    test('needs a bilirubin value', () => {
+        assert.throws(() => toFhirBundle(makeReport({ bilirubin: null }), { newId }), /bilirubin value/);
+    });
+
+    test('needs a patient label, as FHIR allows no empty strings', () => {
+        const report = { ...makeReport(), patient: { label: '', id: null } };
+        assert.throws(() => toFhirBundle(report, { newId }), /patient label/);
+    });
+});
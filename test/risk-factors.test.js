@@ -0,0 +1,45 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRiskFactors, hasRiskFactorsOtherThanGestationalAge, RISK_FACTORS } from '../js/risk-factors.js';
+
+describe('getRiskFactors', () => {
+    test('finds no risk factors in a term infant without findings', () => {
+        assert.deepEqual(getRiskFactors({ gestationalAge: 38 }), []);
+        assert.deepEqual(getRiskFactors({ gestationalAge: 40, albumin: 3.0 }), []);
+    });
+
+    test('derives the gestational age factor below 38 completed weeks', () => {
+        assert.deepEqual(getRiskFactors({ gestationalAge: 37 }), ['gestationalAgeBelow38']);
+        assert.deepEqual(getRiskFactors({ gestationalAge: null }), []);
+    });
+
+    test('derives the albumin factor below 3.0 g/dL only when albumin was measured', () => {
+        assert.deepEqual(getRiskFactors({ gestationalAge: 39, albumin: 2.9 }), ['lowAlbumin']);
+        assert.deepEqual(getRiskFactors({ gestationalAge: 39, albumin: null }), []);
+    });
+
+    test('lists every present factor in checklist order', () => {
+        const factors = getRiskFactors({
+            gestationalAge: 36,
+            albumin: 2.5,
+            isoimmuneHemolyticDisease: true,
+            g6pdDeficiency: true,
+            sepsis: true,
+            clinicalInstability: true
+        });
+        assert.deepEqual(factors, RISK_FACTORS);
+    });
+
+    test('keeps the checklist order regardless of which findings are ticked', () => {
+        assert.deepEqual(getRiskFactors({ gestationalAge: 39, clinicalInstability: true, g6pdDeficiency: true }), ['g6pdDeficiency', 'clinicalInstability']);
+    });
+});
+
+describe('hasRiskFactorsOtherThanGestationalAge', () => {
+    test('does not count the gestational age, which the curves already account for', () => {
+        assert.equal(hasRiskFactorsOtherThanGestationalAge([]), false);
+        assert.equal(hasRiskFactorsOtherThanGestationalAge(['gestationalAgeBelow38']), false);
+        assert.equal(hasRiskFactorsOtherThanGestationalAge(['gestationalAgeBelow38', 'sepsis']), true);
+        assert.equal(hasRiskFactorsOtherThanGestationalAge(['lowAlbumin']), true);
+    });
+});
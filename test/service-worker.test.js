@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+
+const root = new URL('../', import.meta.url);
+const read = (path) => readFileSync(new URL(path, root), 'utf8');
+const precached = [...read('sw.js').match(/const PRECACHE_URLS = \[([\s\S]*?)\];/)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+describe('service worker', () => {
+    test('precaches only files that exist', () => {
+        // One missing file makes `cache.addAll` reject, and then nothing is precached.
+        for (const file of precached) {
+            assert.ok(existsSync(new URL(file, root)), file);
+        }
+    });
+
+    test('precaches every script of the page', () => {
+        for (const file of readdirSync(new URL('js/', root))) {
+            assert.ok(precached.includes(`js/${file}`), file);
+        }
+    });
+
+    test('precaches every bundled guideline dataset', () => {
+        for (const file of ['index.json', ...JSON.parse(read('guidelines/index.json'))]) {
+            assert.ok(precached.includes(`guidelines/${file}`), file);
+        }
+    });
+
+    test('precaches the page, its stylesheet and the manifest icons', () => {
+        for (const file of ['calculator.html', 'css/style.css', 'manifest.webmanifest']) {
+            assert.ok(precached.includes(file), file);
+        }
+        for (const { src } of JSON.parse(read('manifest.webmanifest')).icons) {
+            assert.ok(precached.includes(src), src);
+        }
+    });
+
+    test('caches under the version of package.json, which the page footer shows', () => {
+        const { version } = JSON.parse(read('package.json'));
+        assert.equal(read('sw.js').match(/const VERSION = '([^']+)';/)[1], version);
+        assert.equal(read('calculator.html').match(/Version (\S+)/)[1], version);
+    });
+
+    test('replaces the cache-busting query strings of the page', () => {
+        assert.doesNotMatch(read('calculator.html'), /\?v=/);
+    });
+});
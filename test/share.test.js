@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareState, decodeShareState } from '../js/share.js';
+
+const birthTime = Date.UTC(2025, 0, 1, 8, 55);
+const sampleTime = Date.UTC(2025, 0, 2, 9, 5);
+
+describe('encodeShareState', () => {
+    test('writes absolute times to the minute and only the entered inputs', () => {
+        const hash = encodeShareState({ birthTime: birthTime + 30000, sampleTime, gestationalAge: 38, gestationalAgeDays: 2 });
+        assert.equal(hash, '#birth=2025-01-01T08%3A55Z&sample=2025-01-02T09%3A05Z&ga=38%2B2');
+    });
+});
+
+describe('decodeShareState', () => {
+    test('restores every input of an encoded calculation', () => {
+        const input = {
+            birthTime,
+            sampleTime,
+            gestationalAge: 36,
+            gestationalAgeDays: 4,
+            bilirubin: 274,
+            unit: 'µmol/L',
+            source: 'TcB',
+            albumin: 2.8,
+            riskFindings: { isoimmuneHemolyticDisease: true, g6pdDeficiency: false, sepsis: true, clinicalInstability: false },
+            hasKernicterusSigns: true,
+            guidelineId: 'aap2022',
+            phototherapyStartTime: Date.UTC(2025, 0, 2, 6, 30)
+        };
+        assert.deepEqual(decodeShareState(encodeShareState(input)), input);
+    });
+
+    test('fills in defaults for inputs that were not entered', () => {
+        const shared = decodeShareState(encodeShareState({ birthTime, sampleTime, gestationalAge: 38 }));
+        assert.equal(shared.bilirubin, null);
+        assert.equal(shared.unit, 'mg/dL');
+        assert.equal(shared.source, 'TSB');
+        assert.equal(shared.albumin, null);
+        assert.equal(shared.hasKernicterusSigns, false);
+        assert.equal(shared.guidelineId, null);
+        assert.equal(shared.phototherapyStartTime, null);
+        assert.deepEqual(Object.values(shared.riskFindings), [false, false, false, false]);
+    });
+
+    test('ignores hashes without a birth time, sample time and gestational age', () => {
+        assert.equal(decodeShareState(''), null);
+        assert.equal(decodeShareState('#birth=2025-01-01T08:55Z&ga=38%2B0'), null);
+        assert.equal(decodeShareState('#birth=yesterday&sample=2025-01-02T09:05Z&ga=38%2B0'), null);
+    });
+
+    test('drops unknown units, sources and risk factors', () => {
+        const shared = decodeShareState('#birth=2025-01-01T08:55Z&sample=2025-01-02T09:05Z&ga=38%2B0&bili=12&unit=mmol&source=serum&risk=sepsis,gestationalAgeBelow38');
+        assert.equal(shared.bilirubin, null);
+        assert.equal(shared.source, 'TSB');
+        assert.deepEqual(Object.keys(shared.riskFindings).filter(key => shared.riskFindings[key]), ['sepsis']);
+    });
+});
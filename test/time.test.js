@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toTimestamp, getAgeInHours, splitAge, MS_PER_HOUR } from '../js/time.js';
+
+// The daylight saving time tests need a zone with a known change: London moved to summer time
+// at 01:00 on 30 March 2025.
+process.env.TZ = 'Europe/London';
+
+describe('toTimestamp', () => {
+    test('uses the local day of the date and the clock time', () => {
+        const timestamp = toTimestamp(new Date(2025, 0, 15, 17, 30), 8, 55);
+        assert.equal(timestamp, new Date(2025, 0, 15, 8, 55).getTime());
+    });
+
+    test('defaults to the start of the hour', () => {
+        assert.equal(toTimestamp(new Date(2025, 0, 15), 8), new Date(2025, 0, 15, 8, 0).getTime());
+    });
+});
+
+describe('getAgeInHours', () => {
+    test('keeps the minutes as a fraction of an hour', () => {
+        const birthTime = toTimestamp(new Date(2025, 0, 1), 8, 55);
+        const sampleTime = toTimestamp(new Date(2025, 0, 2), 9, 5);
+        assert.equal(getAgeInHours(birthTime, sampleTime), 24 + 10 / 60);
+    });
+
+    test('counts the real elapsed time across a daylight saving change', () => {
+        const birthTime = toTimestamp(new Date(2025, 2, 29), 12, 0);
+        const sampleTime = toTimestamp(new Date(2025, 2, 30), 12, 0);
+        assert.equal(getAgeInHours(birthTime, sampleTime), 23);
+    });
+
+    test('returns 0 before birth', () => {
+        assert.equal(getAgeInHours(5 * MS_PER_HOUR, 0), 0);
+    });
+});
+
+describe('splitAge', () => {
+    test('splits fractional hours into days, hours and minutes', () => {
+        assert.deepEqual(splitAge(24 + 10 / 60), { days: 1, hours: 0, minutes: 10 });
+        assert.deepEqual(splitAge(71.5), { days: 2, hours: 23, minutes: 30 });
+    });
+});
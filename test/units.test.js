@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromMgPerDl, toMgPerDl, INPUT_LIMITS } from '../js/units.js';
+
+describe('fromMgPerDl', () => {
+    test('keeps mg/dL values', () => {
+        assert.equal(fromMgPerDl(16, 'mg/dL'), 16);
+        assert.equal(fromMgPerDl(15.556, 'mg/dL'), 15.56);
+    });
+
+    test('converts to whole µmol/L', () => {
+        assert.equal(fromMgPerDl(16, 'µmol/L'), 274);
+        assert.equal(fromMgPerDl(1, 'µmol/L'), 17);
+        assert.equal(fromMgPerDl(-2, 'µmol/L'), -34);
+    });
+
+    test('passes null through and rejects unknown units', () => {
+        assert.equal(fromMgPerDl(null, 'µmol/L'), null);
+        assert.throws(() => fromMgPerDl(16, 'mmol/L'), /Unknown bilirubin unit/);
+    });
+});
+
+describe('toMgPerDl', () => {
+    test('converts µmol/L to mg/dL with two decimals', () => {
+        assert.equal(toMgPerDl(274, 'µmol/L'), 16.02);
+        assert.equal(toMgPerDl(171, 'µmol/L'), 10);
+        assert.equal(toMgPerDl(12.3, 'mg/dL'), 12.3);
+    });
+
+    test('round-trips through the display precision', () => {
+        for (const mg of [1, 8, 12.5, 20.7, 28]) {
+            assert.ok(Math.abs(toMgPerDl(fromMgPerDl(mg, 'µmol/L'), 'µmol/L') - mg) < 0.05);
+        }
+    });
+});
+
+describe('INPUT_LIMITS', () => {
+    test('uses the same clinical range in both units', () => {
+        assert.equal(INPUT_LIMITS['µmol/L'].min, fromMgPerDl(INPUT_LIMITS['mg/dL'].min, 'µmol/L'));
+        assert.equal(INPUT_LIMITS['µmol/L'].max, fromMgPerDl(INPUT_LIMITS['mg/dL'].max, 'µmol/L'));
+        assert.equal(INPUT_LIMITS['µmol/L'].startValue, fromMgPerDl(INPUT_LIMITS['mg/dL'].startValue, 'µmol/L'));
+    });
+});
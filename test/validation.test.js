@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInputs } from '../js/validation.js';
+
+const HOUR = 1000 * 60 * 60;
+const now = Date.UTC(2025, 0, 3, 8);
+const birthTime = now - 48 * HOUR;
+const keys = (problems) => problems.map(problem => problem.key);
+
+describe('validateInputs', () => {
+    test('accepts plausible inputs', () => {
+        assert.deepEqual(validateInputs({ now, birthTime, sampleTime: now, bilirubin: 12 }), []);
+    });
+
+    test('does not check inputs that are not entered yet', () => {
+        assert.deepEqual(validateInputs({ now, birthTime: null, sampleTime: null, fields: [{ name: 'birthHour', value: null, max: 23 }] }), []);
+    });
+
+    test('reports a birth time in the future', () => {
+        assert.deepEqual(keys(validateInputs({ now, birthTime: now + HOUR, sampleTime: now })), ['validation.birthInFuture']);
+    });
+
+    test('reports a lab time before birth', () => {
+        assert.deepEqual(keys(validateInputs({ now, birthTime, sampleTime: birthTime - 60 * 1000 })), ['validation.sampleBeforeBirth']);
+    });
+
+    test('reports a lab time in the future', () => {
+        assert.deepEqual(keys(validateInputs({ now, birthTime, sampleTime: now + HOUR })), ['validation.sampleInFuture']);
+    });
+
+    test('reports a phototherapy start before birth or in the future', () => {
+        assert.deepEqual(keys(validateInputs({ now, birthTime, sampleTime: now, phototherapyStartTime: birthTime - 5 * HOUR })), ['validation.phototherapyStartBeforeBirth']);
+        assert.deepEqual(keys(validateInputs({ now, birthTime, sampleTime: now, phototherapyStartTime: now + HOUR })), ['validation.phototherapyStartInFuture']);
+        assert.deepEqual(validateInputs({ now, birthTime, sampleTime: now, phototherapyStartTime: birthTime + 24 * HOUR }), []);
+    });
+
+    test('reports only a birth time in the future, not a phototherapy start before it', () => {
+        assert.deepEqual(keys(validateInputs({ now, birthTime: now + HOUR, sampleTime: null, phototherapyStartTime: now })), ['validation.birthInFuture']);
+    });
+
+        test('reports an age beyond the end of the guideline curves', () => {
+        const sampleTime = birthTime + 340 * HOUR;
+        const [problem] = validateInputs({ now: sampleTime, birthTime, sampleTime, maxAgeHours: 336 });
+        assert.deepEqual(problem, { key: 'validation.ageBeyondCurve', params: { ageInHours: 340, maxAge: 336 } });
+        assert.deepEqual(validateInputs({ now: sampleTime, birthTime, sampleTime: birthTime + 336 * HOUR, maxAgeHours: 336 }), []);
+        assert.deepEqual(validateInputs({ now: sampleTime, birthTime, sampleTime, maxAgeHours: null }), []);
+    });
+
+    test('reports implausible bilirubin values in the unit they were entered in', () => {
+        const [problem] = validateInputs({ now, birthTime, sampleTime: now, bilirubin: 45 });
+        assert.deepEqual(problem, { key: 'validation.bilirubinImplausible', params: { value: 45, min: 1, max: 40, unit: 'mg/dL' } });
+        assert.deepEqual(keys(validateInputs({ now, birthTime, sampleTime: now, bilirubin: 0.5 })), ['validation.bilirubinImplausible']);
+        assert.deepEqual(validateInputs({ now, birthTime, sampleTime: now, bilirubin: 450, unit: 'µmol/L' }), []);
+        assert.deepEqual(keys(validateInputs({ now, birthTime, sampleTime: now, bilirubin: 700, unit: 'µmol/L' })), ['validation.bilirubinImplausible']);
+    });
+
+    test('reports every field outside its range by name', () => {
+        const problems = validateInputs({
+            now,
+            birthTime,
+            sampleTime: now,
+            fields: [
+                { name: 'birthHour', value: 25, max: 23 },
+                { name: 'birthMinute', value: 30, max: 59 },
+                { name: 'gestationalAge', value: 50, min: 22, max: 42 }
+            ]
+        });
+        assert.deepEqual(problems, [
+            { key: 'validation.outOfRange', field: 'birthHour', params: { value: 25, min: 0, max: 23 } },
+            { key: 'validation.outOfRange', field: 'gestationalAge', params: { value: 50, min: 22, max: 42 } }
+        ]);
+    });
+
+    test('gives each problem its own warning', () => {
+        const problems = validateInputs({ now, birthTime, sampleTime: now + HOUR, bilirubin: 50, fields: [{ name: 'labHour', value: 24, max: 23 }] });
+        assert.deepEqual(keys(problems), ['validation.outOfRange', 'validation.sampleInFuture', 'validation.bilirubinImplausible']);
+    });
+});